@@ -0,0 +1,106 @@
+// Performance Budgets
+const fs = require('fs');
+
+const METRICS = ['raw', 'gzip', 'brotli'];
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+// Accept plain byte counts or strings such as "20 KB"
+function parseSize(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const match = /^\s*([\d.]+)\s*(b|kb|mb)?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid budget size: ${value}`);
+    }
+
+    return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+// Sum per-asset sizes into a "total" entry
+function withTotal(sizes) {
+    const total = {};
+
+    METRICS.forEach(metric => {
+        const values = Object.values(sizes)
+            .map(size => size[metric])
+            .filter(value => typeof value === 'number');
+        total[metric] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    });
+
+    return { ...sizes, total };
+}
+
+// Compare measured sizes with the configured budgets
+function checkBudgets(sizes, budgets = {}, baseline = {}) {
+    const measured = withTotal(sizes);
+    const limits = { ...(budgets.assets || {}), total: budgets.total || {} };
+    const rows = [];
+
+    Object.entries(limits).forEach(([asset, limit]) => {
+        METRICS.filter(metric => limit[metric] !== undefined).forEach(metric => {
+            const size = measured[asset] && typeof measured[asset][metric] === 'number'
+                ? measured[asset][metric]
+                : null;
+            const budget = parseSize(limit[metric]);
+            const previous = baseline[asset] ? baseline[asset][metric] : null;
+
+            rows.push({
+                asset,
+                metric,
+                size,
+                budget,
+                delta: size !== null && typeof previous === 'number' ? size - previous : null,
+                exceeded: size !== null && size > budget
+            });
+        });
+    });
+
+    return rows;
+}
+
+function formatDelta(delta) {
+    if (delta === null) {
+        return 'n/a';
+    }
+    return `${delta > 0 ? '+' : ''}${delta} bytes`;
+}
+
+// Console table of budgets that were exceeded
+function printExceeded(rows) {
+    console.table(rows.filter(row => row.exceeded).map(row => ({
+        asset: row.asset,
+        metric: row.metric,
+        size: row.size,
+        budget: row.budget,
+        over: row.size - row.budget,
+        'vs baseline': formatDelta(row.delta)
+    })));
+}
+
+// Baselines are kept per config profile, so a development build never diffs against a production one
+function readBaselines(file) {
+    if (!file || !fs.existsSync(file)) {
+        return {};
+    }
+    // Older baseline files held a single build for every profile and are ignored
+    return JSON.parse(fs.readFileSync(file, 'utf8')).profiles || {};
+}
+
+// Sizes of the profile's previous build, if one was recorded
+function readBaseline(file, profile) {
+    const baseline = readBaselines(file)[profile];
+    return baseline ? baseline.sizes : {};
+}
+
+function writeBaseline(file, profile, sizes) {
+    const profiles = readBaselines(file);
+    profiles[profile] = {
+        timestamp: new Date().toISOString(),
+        sizes: withTotal(sizes)
+    };
+    fs.writeFileSync(file, JSON.stringify({ profiles }, null, 2));
+}
+
+module.exports = { parseSize, checkBudgets, printExceeded, formatDelta, readBaseline, writeBaseline };
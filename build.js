@@ -1,52 +1,88 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { minify } = require('terser');
+const { rollup } = require('rollup');
+const { parseAst } = require('rollup/parseAst');
 const CleanCSS = require('clean-css');
+const cheerio = require('cheerio');
+const { minify: minifyHTML } = require('html-minifier-terser');
+const { loadConfig } = require('./config-loader');
+const { extractCriticalCSS } = require('./critical-css');
+const { renderTemplate, listPartials, isLocalReference } = require('./template');
+const { checkBudgets, printExceeded, formatDelta, readBaseline, writeBaseline } = require('./budgets');
+const ImageOptimizer = require('./image-optimizer');
+const { fetchRemoteImage, isRemoteImage } = require('./remote-images');
 
-// Configuration
-const config = {
-    input: {
-        css: 'styles.css',
-        js: 'scripts.js',
-        optimization: 'optimization.js'
-    },
-    output: {
-        css: 'dist/styles.min.css',
-        js: 'dist/scripts.min.js',
-        optimization: 'dist/optimization.min.js'
+// Configuration (portfolio.config.json, selected with --profile=<name>)
+const { profile, build: config } = loadConfig();
+const baselineKey = profile || 'default';
+const manifestPath = path.join(config.outputDir, 'manifest.json');
+
+// Manifest key prefix for the non-module fallback bundle
+const LEGACY_PREFIX = 'legacy:';
+// Manifest key prefix for chunks split off a module bundle by dynamic import()
+const CHUNK_PREFIX = 'chunk:';
+
+// Short content hash used in asset filenames
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, config.hashLength);
+}
+
+// Path of a source file as seen from the output directory
+function sourceMapSource(inputFile, outputFile) {
+    return path.relative(path.dirname(outputFile), inputFile).split(path.sep).join('/');
+}
+
+// Write an asset and its source map, substituting [hash] in the filename
+function writeHashedFile(outputFile, content, sourceMap) {
+    const hashedFile = outputFile.replace('[hash]', hashContent(content));
+    
+    if (!sourceMap) {
+        fs.writeFileSync(hashedFile, content);
+        return { file: hashedFile, mapFile: null, mapSize: 0 };
     }
-};
+    
+    const mapFile = `${hashedFile}.map`;
+    const mapName = path.basename(mapFile);
+    const mapComment = hashedFile.endsWith('.css')
+        ? `\n/*# sourceMappingURL=${mapName} */`
+        : `\n//# sourceMappingURL=${mapName}`;
+    const map = JSON.stringify({ ...JSON.parse(sourceMap), file: path.basename(hashedFile) });
+    
+    fs.writeFileSync(hashedFile, content + mapComment);
+    fs.writeFileSync(mapFile, map);
+    return { file: hashedFile, mapFile, mapSize: Buffer.byteLength(map) };
+}
 
-// Ensure dist directory exists
-if (!fs.existsSync('dist')) {
-    fs.mkdirSync('dist');
+// Run terser over code and write the result under a hashed name
+async function writeMinifiedJS(code, outputFile, { sourceName, inputMap = null, module = false }) {
+    const result = await minify(inputMap ? code : { [sourceName]: code }, {
+        ...config.minify.js,
+        module,
+        sourceMap: config.sourceMaps ? { content: inputMap || undefined, includeSources: true } : false
+    });
+
+    if (result.error) {
+        throw result.error;
+    }
+
+    return { result, written: writeHashedFile(outputFile, result.code, result.map) };
 }
 
 // Minify JavaScript
 async function minifyJS(inputFile, outputFile) {
     try {
         const code = fs.readFileSync(inputFile, 'utf8');
-        const result = await minify(code, {
-            compress: {
-                drop_console: false,
-                drop_debugger: true
-            },
-            mangle: {
-                toplevel: false
-            },
-            format: {
-                comments: false
-            }
-        });
-
-        if (result.error) {
-            throw result.error;
-        }
-
-        fs.writeFileSync(outputFile, result.code);
-        console.log(`✓ Minified ${path.basename(inputFile)} (${code.length} → ${result.code.length} bytes)`);
+        const sourceName = sourceMapSource(inputFile, outputFile);
+        const { result, written } = await writeMinifiedJS(code, outputFile, { sourceName });
+        console.log(`✓ Minified ${path.basename(inputFile)} → ${path.basename(written.file)} (${code.length} → ${result.code.length} bytes)`);
         
         return {
+            output: written.file,
+            sourceMap: written.mapFile,
+            sourceMapSize: written.mapSize,
             originalSize: code.length,
             minifiedSize: result.code.length,
             savings: ((code.length - result.code.length) / code.length * 100).toFixed(1)
@@ -57,30 +93,136 @@ async function minifyJS(inputFile, outputFile) {
     }
 }
 
+// String literals assigned to `image:` properties (the projects data) in a module's AST
+function findImageLiterals(ast) {
+    const literals = [];
+    const visit = node => {
+        if (node.type === 'Property' && !node.computed && (node.key.name || node.key.value) === 'image' &&
+            node.value.type === 'Literal' && typeof node.value.value === 'string') {
+            literals.push(node.value);
+        }
+        
+        Object.values(node)
+            .flatMap(child => (Array.isArray(child) ? child : [child]))
+            .filter(child => child && typeof child.type === 'string')
+            .forEach(visit);
+    };
+    
+    visit(ast);
+    return literals;
+}
+
+// Local images are keyed by project-relative path, remote ones by URL
+function getImageKey(reference) {
+    return isLocalReference(reference) ? resolveReference(reference) : reference;
+}
+
+// Rollup output name for a [name].[hash] template
+function toRollupFileName(template) {
+    return path.basename(template).replace('[hash]', `[hash:${config.hashLength}]`);
+}
+
+// Manifest key of a split chunk: the module it was split at, or its name for shared code
+function getChunkKey(chunk) {
+    const source = chunk.facadeModuleId ? path.relative(process.cwd(), chunk.facadeModuleId) : `${chunk.name}.js`;
+    return `${CHUNK_PREFIX}${source}`;
+}
+
+// An IIFE cannot load chunks, and inlining every lazily loaded feature would make the legacy bundle
+// carry what the module bundle defers. There, import() rejects instead; its callers handle that
+function legacyDynamicImportPlugin() {
+    return {
+        name: 'legacy-dynamic-import',
+        resolveDynamicImport: specifier => (typeof specifier === 'string' ? { id: specifier, external: true } : null),
+        // The specifier ends up as a second argument, which Promise.reject ignores
+        renderDynamicImport: () => ({ left: 'Promise.reject(new Error("Not supported by this browser"), ', right: ')' })
+    };
+}
+
+// Bundle an ES module entry and its imports into a tree-shaken, minified file. Modules loaded with
+// import() become separate chunks in ES bundles and are left out of the legacy (IIFE) bundle
+async function bundleJS(entryFile, outputFile, format = 'es') {
+    try {
+        const bundle = await rollup({
+            input: entryFile,
+            treeshake: true,
+            plugins: [
+                ...(format === 'es' ? [] : [legacyDynamicImportPlugin()]),
+                // Chunks import each other by name, so their names use Rollup's hash of the bundled
+                // code; the minifier options are part of it since they change the output too
+                { name: 'minify-options', augmentChunkHash: () => JSON.stringify([config.minify.js, config.sourceMaps]) }
+            ]
+        });
+        const outputDir = path.dirname(outputFile);
+        const { output } = await bundle.generate(format === 'es'
+            ? {
+                format,
+                dir: outputDir,
+                entryFileNames: toRollupFileName(outputFile),
+                chunkFileNames: toRollupFileName(config.output.js),
+                sourcemap: config.sourceMaps
+            }
+            : { format, file: outputFile, sourcemap: config.sourceMaps });
+        const modules = bundle.watchFiles.map(file => path.relative(process.cwd(), file));
+        await bundle.close();
+        
+        const minifyChunk = chunk => writeMinifiedJS(chunk.code, format === 'es' ? path.join(outputDir, chunk.fileName) : outputFile, {
+            inputMap: chunk.map ? chunk.map.toString() : null,
+            module: format === 'es'
+        });
+        
+        // Savings are measured against every module that went into the bundle
+        const originalSize = modules.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+        const chunks = output.filter(item => item.type === 'chunk');
+        const { result, written } = await minifyChunk(chunks.find(chunk => chunk.isEntry));
+        console.log(`✓ Bundled ${modules.join(', ')} → ${path.basename(written.file)} (${originalSize} → ${result.code.length} bytes)`);
+        
+        const splitChunks = {};
+        for (const chunk of chunks.filter(item => !item.isEntry)) {
+            const minified = await minifyChunk(chunk);
+            splitChunks[getChunkKey(chunk)] = minified.written.file;
+            console.log(`  ↳ split ${Object.keys(chunk.modules).map(file => path.relative(process.cwd(), file)).join(', ')} → ${path.basename(minified.written.file)} (${minified.result.code.length} bytes)`);
+        }
+        
+        return {
+            output: written.file,
+            sourceMap: written.mapFile,
+            sourceMapSize: written.mapSize,
+            chunks: splitChunks,
+            modules,
+            originalSize,
+            minifiedSize: result.code.length,
+            savings: ((originalSize - result.code.length) / originalSize * 100).toFixed(1)
+        };
+    } catch (error) {
+        console.error(`Error bundling ${entryFile}:`, error);
+        return null;
+    }
+}
+
 // Minify CSS
 function minifyCSS(inputFile, outputFile) {
     try {
         const css = fs.readFileSync(inputFile, 'utf8');
+        const source = sourceMapSource(inputFile, outputFile);
         const result = new CleanCSS({
-            level: {
-                1: {
-                    all: true,
-                    normalizeUrls: false
-                },
-                2: {
-                    all: true
-                }
-            }
-        }).minify(css);
+            ...config.minify.css,
+            sourceMap: config.sourceMaps,
+            sourceMapInlineSources: true
+        }).minify({ [source]: { styles: css } });
 
         if (result.errors.length > 0) {
             throw new Error(result.errors.join('\n'));
         }
 
-        fs.writeFileSync(outputFile, result.styles);
-        console.log(`✓ Minified ${path.basename(inputFile)} (${css.length} → ${result.styles.length} bytes)`);
+        const sourceMap = result.sourceMap ? result.sourceMap.toString() : null;
+        const written = writeHashedFile(outputFile, result.styles, sourceMap);
+        console.log(`✓ Minified ${path.basename(inputFile)} → ${path.basename(written.file)} (${css.length} → ${result.styles.length} bytes)`);
         
         return {
+            output: written.file,
+            sourceMap: written.mapFile,
+            sourceMapSize: written.mapSize,
             originalSize: css.length,
             minifiedSize: result.styles.length,
             savings: ((css.length - result.styles.length) / css.length * 100).toFixed(1)
@@ -91,43 +233,245 @@ function minifyCSS(inputFile, outputFile) {
     }
 }
 
+// Read the manifest from a previous build, if any
+function readManifest() {
+    if (!fs.existsSync(manifestPath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+// Write source → hashed output mapping and remove outputs it replaces
+function writeManifest(manifest) {
+    const previous = readManifest();
+    
+    Object.values(previous)
+        .filter(file => !Object.values(manifest).includes(file))
+        .forEach(file => {
+            const stalePath = path.join(config.outputDir, file);
+            [stalePath, `${stalePath}.map`, `${stalePath}.gz`, `${stalePath}.br`].forEach(staleFile => {
+                if (fs.existsSync(staleFile)) {
+                    fs.unlinkSync(staleFile);
+                }
+            });
+        });
+    
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    console.log('✓ Generated asset manifest');
+}
+
+// Source HTML with template includes and variables filled in
+function renderHTML() {
+    const source = fs.readFileSync(config.input.html, 'utf8');
+    return renderTemplate(source, {
+        partialsDir: config.partialsDir,
+        variables: {
+            site: config.site,
+            rum: config.rum,
+            year: new Date().getFullYear()
+        }
+    });
+}
+
+// Point <link>/<script> elements at their hashed outputs
+function rewriteAssetReferences($, manifest) {
+    $('link[rel="stylesheet"][href]').each((index, element) => {
+        const output = manifest[resolveReference($(element).attr('href'))];
+        if (output) {
+            $(element).attr('href', output);
+        }
+    });
+    
+    $('script[src]').each((index, element) => {
+        const source = resolveReference($(element).attr('src'));
+        const output = manifest[source];
+        if (!output) {
+            return;
+        }
+        
+        $(element).attr('src', output);
+        if ($(element).attr('type') !== 'module') {
+            $(element).attr('defer', '');
+        }
+        
+        // Browsers without module support load the legacy bundle instead
+        const legacyOutput = manifest[`${LEGACY_PREFIX}${source}`];
+        if (legacyOutput) {
+            $(element).after(`<script nomodule src="${legacyOutput}" defer></script>`);
+        }
+    });
+}
+
+// Wrap <img> tags in <picture> elements serving their optimized variants
+function rewriteImages($, images) {
+    $('img[src]').each((index, element) => {
+        const image = images[getImageKey($(element).attr('src'))];
+        
+        // Existing <picture> elements already choose their own sources
+        if (!image || $(element).parent().is('picture')) {
+            return;
+        }
+        
+        $(element).attr({
+            src: image.src,
+            srcset: image.srcset,
+            sizes: image.sizes,
+            width: image.width,
+            height: image.height
+        });
+        $(element).wrap('<picture></picture>');
+        image.sources.forEach(source => {
+            $(element).before($('<source>').attr({ type: source.type, srcset: source.srcset, sizes: image.sizes }));
+        });
+    });
+}
+
+// Inline above-the-fold rules and load the full stylesheets without blocking render
+function inlineCriticalCSS($, manifest) {
+    Object.entries(manifest)
+        .filter(([source]) => source.endsWith('.css'))
+        .forEach(([source, output]) => {
+            const css = fs.readFileSync(source, 'utf8');
+            const critical = new CleanCSS(config.minify.css)
+                .minify(extractCriticalCSS($.html(), css, config.criticalCSS))
+                .styles;
+            
+            $(`link[rel="stylesheet"][href="${output}"]`).replaceWith(`<style>${critical}</style>
+    <link rel="preload" href="${output}" as="style" onload="this.onload=null;this.rel='stylesheet'">
+    <noscript><link rel="stylesheet" href="${output}"></noscript>`);
+            
+            console.log(`✓ Inlined critical CSS from ${source} (${critical.length} bytes)`);
+        });
+}
+
+// Responsive variants of the scripts' `image:` values, written into the page once as JSON rather
+// than into every bundle; script.js looks them up by the value in its source
+function embedScriptImages($, images) {
+    const entries = collectScriptImages()
+        .map(value => [value, images[getImageKey(value)]])
+        .filter(([, image]) => image);
+    
+    if (entries.length === 0) {
+        return;
+    }
+    
+    // Escaped so that no value can close the <script> element
+    const json = JSON.stringify(Object.fromEntries(entries)).replace(/</g, '\\u003c');
+    $('body').append(`<script type="application/json" id="responsive-images">${json}</script>`);
+}
+
 // Generate HTML with minified files
-function updateHTML() {
-    const htmlPath = 'index.html';
-    let html = fs.readFileSync(htmlPath, 'utf8');
-    
-    // Replace CSS and JS references with minified versions
-    html = html.replace(
-        /<link rel="stylesheet" href="styles\.css">/,
-        '<link rel="stylesheet" href="dist/styles.min.css">'
-    );
-    
-    html = html.replace(
-        /<script src="scripts\.js"><\/script>/,
-        '<script src="dist/scripts.min.js" defer></script>'
-    );
-    
-    html = html.replace(
-        /<script src="optimization\.js"><\/script>/,
-        '<script src="dist/optimization.min.js" defer></script>'
-    );
+async function updateHTML(manifest, images = {}) {
+    const $ = cheerio.load(renderHTML());
+    
+    rewriteAssetReferences($, manifest);
+    rewriteImages($, images);
+    embedScriptImages($, images);
+    
+    // Critical CSS already preloads the stylesheet it defers
+    if (config.criticalCSS.enabled) {
+        inlineCriticalCSS($, manifest);
+    }
     
     // Add preload for critical resources
-    const preloadTags = `
-    <link rel="preload" href="dist/styles.min.css" as="style">
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://cdnjs.cloudflare.com" crossorigin>
-    `;
+    const preloadTags = [
+        ...Object.entries(manifest)
+            .filter(([source]) => source.endsWith('.css') && !config.criticalCSS.enabled)
+            .map(([, output]) => `<link rel="preload" href="${output}" as="style">`),
+        '<link rel="preconnect" href="https://fonts.googleapis.com">',
+        '<link rel="preconnect" href="https://cdnjs.cloudflare.com" crossorigin>'
+    ];
+    $('head').append(preloadTags.join('\n'));
     
-    html = html.replace('</head>', `${preloadTags}</head>`);
+    let html = $.html();
+    const originalSize = html.length;
+    if (config.minify.html) {
+        html = await minifyHTML(html, config.minify.html);
+    }
     
     // Create optimized HTML file
-    fs.writeFileSync('dist/index.html', html);
-    console.log('✓ Generated optimized HTML');
+    fs.writeFileSync(path.join(config.outputDir, path.basename(config.input.html)), html);
+    console.log(`✓ Generated optimized HTML (${originalSize} → ${html.length} bytes)`);
+}
+
+// Write .gz and .br siblings for a file and return the resulting sizes
+function compressFile(filePath, options = config.compression) {
+    const content = fs.readFileSync(filePath);
+    const sizes = { file: filePath, rawSize: content.length, gzipSize: null, brotliSize: null };
+    
+    if (options.gzip) {
+        const gzipped = zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION });
+        fs.writeFileSync(`${filePath}.gz`, gzipped);
+        sizes.gzipSize = gzipped.length;
+    }
+    
+    if (options.brotli) {
+        const brotli = zlib.brotliCompressSync(content, {
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+            }
+        });
+        fs.writeFileSync(`${filePath}.br`, brotli);
+        sizes.brotliSize = brotli.length;
+    }
+    
+    return sizes;
+}
+
+// Pre-compress every HTML, CSS and JS file in the output directory
+function compressAssets(dir = config.outputDir) {
+    const compressed = [];
+    
+    if (!config.compression.gzip && !config.compression.brotli) {
+        return compressed;
+    }
+    
+    fs.readdirSync(dir).forEach(file => {
+        const filePath = path.join(dir, file);
+        
+        if (fs.lstatSync(filePath).isDirectory()) {
+            compressed.push(...compressAssets(filePath));
+        } else if (/\.(html|css|js)$/.test(file)) {
+            compressed.push(compressFile(filePath));
+        }
+    });
+    
+    if (dir === config.outputDir) {
+        console.log(`✓ Compressed ${compressed.length} file(s)`);
+    }
+    
+    return compressed;
+}
+
+function formatCompressedSize(size, rawSize) {
+    return size === null ? 'n/a' : `${size} bytes (${((1 - size / rawSize) * 100).toFixed(1)}% smaller)`;
+}
+
+// Raw and compressed sizes of each built file, keyed by source
+function collectSizes(manifest, compressed) {
+    const files = { ...manifest, 'index.html': 'index.html' };
+    const sizes = {};
+    
+    Object.entries(files).forEach(([source, output]) => {
+        const filePath = path.join(config.outputDir, output);
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+        
+        const compressedFile = compressed.find(item => item.file === filePath) || {};
+        sizes[source] = {
+            raw: fs.statSync(filePath).size,
+            gzip: compressedFile.gzipSize || null,
+            brotli: compressedFile.brotliSize || null
+        };
+    });
+    
+    return sizes;
 }
 
 // Generate build report
-function generateReport(stats) {
+function generateReport(stats, compressed = [], budgetResults = []) {
     const report = `
 # Build Report
 Generated: ${new Date().toISOString()}
@@ -137,60 +481,432 @@ ${stats.map(stat =>
     `- ${stat.file}: ${stat.originalSize} bytes → ${stat.minifiedSize} bytes (${stat.savings}% reduction)`
 ).join('\n')}
 
+## Output Files
+${stats.map(stat =>
+    `- ${stat.source} → ${path.basename(stat.output)}${stat.modules ? ` (bundles ${stat.modules.join(', ')})` : ''}`
+).join('\n')}
+
+## Source Maps
+${stats.filter(stat => stat.sourceMap).map(stat =>
+    `- ${path.basename(stat.sourceMap)}: ${stat.sourceMapSize} bytes`
+).join('\n') || 'Source maps disabled'}
+
+## Compressed Sizes
+${compressed.map(item =>
+    `- ${path.relative(config.outputDir, item.file)}: raw ${item.rawSize} bytes, gzip ${formatCompressedSize(item.gzipSize, item.rawSize)}, brotli ${formatCompressedSize(item.brotliSize, item.rawSize)}`
+).join('\n') || 'Compression disabled'}
+
+## Performance Budgets
+${budgetResults.map(row =>
+    `- ${row.exceeded ? '❌' : '✓'} ${row.asset} (${row.metric}): ${row.size === null ? 'not built' : `${row.size} bytes`} / ${row.budget} bytes budget (${formatDelta(row.delta)} vs previous build)`
+).join('\n') || 'No budgets configured'}
+
 ## Total Savings
 Original: ${stats.reduce((sum, stat) => sum + stat.originalSize, 0)} bytes
 Minified: ${stats.reduce((sum, stat) => sum + stat.minifiedSize, 0)} bytes
 Total Reduction: ${stats.reduce((sum, stat) => sum + (stat.originalSize - stat.minifiedSize), 0)} bytes
 
 ## Performance Recommendations
-1. Enable GZIP compression on server
+1. Serve the pre-compressed .br/.gz files with a matching Content-Encoding
 2. Use CDN for Font Awesome and Google Fonts
 3. Implement caching headers
 4. Consider WebP format for images
     `;
     
-    fs.writeFileSync('dist/build-report.md', report);
+    fs.writeFileSync(path.join(config.outputDir, 'build-report.md'), report);
     console.log('✓ Generated build report');
 }
 
+// Project-relative path of a URL referenced from the HTML entry point
+function resolveReference(reference) {
+    const baseDir = path.dirname(config.input.html);
+    return path.relative(process.cwd(), path.join(baseDir, reference.split(/[?#]/)[0]));
+}
+
+// Local stylesheets and scripts referenced by the HTML entry point
+function resolveEntries() {
+    if (!fs.existsSync(config.input.html)) {
+        throw new Error(`Missing HTML entry: ${config.input.html}`);
+    }
+    
+    const $ = cheerio.load(renderHTML());
+    const resolve = resolveReference;
+    
+    const styles = $('link[rel="stylesheet"][href]').toArray()
+        .map(element => $(element).attr('href'))
+        .filter(isLocalReference)
+        .map(resolve);
+    const scripts = $('script[src]').toArray()
+        .filter(element => isLocalReference($(element).attr('src')))
+        .map(element => ({
+            file: resolve($(element).attr('src')),
+            module: $(element).attr('type') === 'module'
+        }));
+    
+    const missing = [...styles, ...scripts.map(script => script.file)].filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+        throw new Error(`Missing input file(s) referenced by ${config.input.html}: ${missing.join(', ')}`);
+    }
+    
+    return { styles, scripts };
+}
+
+// Hashed output path for a source, using an [name] output template
+function getOutputPath(template, source) {
+    const name = path.basename(source, path.extname(source));
+    return path.join(config.outputDir, template.replace('[name]', name));
+}
+
+// Assets produced by the build, in build order; key is the manifest entry
+function getAssets() {
+    const { styles, scripts } = resolveEntries();
+    const assets = styles.map(file => (
+        { key: file, input: file, output: getOutputPath(config.output.css, file), name: `Minify ${file}`, type: 'css' }
+    ));
+    
+    scripts.forEach(script => {
+        if (!script.module) {
+            assets.push({ key: script.file, input: script.file, output: getOutputPath(config.output.js, script.file), name: `Minify ${script.file}`, type: 'js' });
+            return;
+        }
+        
+        assets.push({ key: script.file, input: script.file, output: getOutputPath(config.output.js, script.file), name: `Bundle ${script.file}`, type: 'bundle', format: 'es' });
+        
+        if (config.legacyBundle) {
+            assets.push({
+                key: `${LEGACY_PREFIX}${script.file}`,
+                input: script.file,
+                output: getOutputPath(config.output.legacy, script.file),
+                name: `Bundle ${script.file} (legacy)`,
+                type: 'bundle',
+                format: 'iife'
+            });
+        }
+    });
+    
+    return assets;
+}
+
+// Optimize the local images and describe their responsive variants, keyed by source path
+async function optimizeImages(step) {
+    const { sourceDir } = config.images;
+    if (!fs.existsSync(sourceDir)) {
+        console.warn(`⚠️  Image directory not found: ${sourceDir}`);
+        return {};
+    }
+    
+    const outputDir = path.join(config.outputDir, 'images');
+    const optimizer = new ImageOptimizer({ ...config.images, outputDir });
+    const { images, failed } = await optimizer.optimize(sourceDir, outputDir);
+    if (failed.length > 0) {
+        step.degraded = `${failed.length} image(s) could not be optimized and keep their original`;
+    }
+    
+    return toResponsiveImages(optimizer, images, outputDir, image => path.relative(process.cwd(), image.path));
+}
+
+// Responsive image data for optimized images, keyed by keyOf(image)
+function toResponsiveImages(optimizer, images, outputDir, keyOf) {
+    const baseUrl = path.relative(config.outputDir, outputDir).split(path.sep).join('/');
+    return Object.fromEntries(images.map(image => [keyOf(image), optimizer.getResponsiveImage(image, { baseUrl })]));
+}
+
+// `image:` string values in the entry scripts and the modules they import
+function collectScriptImages() {
+    const values = new Set();
+    const visited = new Set();
+    
+    const visit = file => {
+        if (visited.has(file) || !fs.existsSync(file)) {
+            return;
+        }
+        visited.add(file);
+        
+        const ast = parseAst(fs.readFileSync(file, 'utf8'));
+        findImageLiterals(ast).forEach(literal => values.add(literal.value));
+        
+        ast.body
+            .filter(node => node.type === 'ImportDeclaration' && node.source.value.startsWith('.'))
+            .forEach(node => visit(path.relative(process.cwd(), path.resolve(path.dirname(file), node.source.value))));
+    };
+    
+    resolveEntries().scripts.forEach(script => visit(script.file));
+    return Array.from(values);
+}
+
+// Remote image URLs in <img> tags and in `image:` values of the scripts
+function collectRemoteImages() {
+    const $ = cheerio.load(renderHTML());
+    const urls = $('img[src]').toArray().map(element => $(element).attr('src'));
+    return Array.from(new Set([...urls, ...collectScriptImages()].filter(isRemoteImage)));
+}
+
+// Download remote images (or reuse the cache when offline), optimize them and describe them by URL
+async function selfHostImages(step) {
+    const { cacheDir, timeout, required } = config.images.selfHost;
+    const remoteImages = collectRemoteImages();
+    const urlsByFile = new Map();
+    
+    for (const url of remoteImages) {
+        try {
+            const { file, cached } = await fetchRemoteImage(url, { cacheDir, timeout });
+            urlsByFile.set(path.resolve(file), url);
+            console.log(`✓ ${cached ? 'Using cached' : 'Downloaded'} ${url}`);
+        } catch (error) {
+            // The page keeps working with the remote URL, it just isn't self-hosted
+            console.warn(`⚠️  Keeping remote image ${url}: ${error.cause ? error.cause.code || error.cause.message : error.message}`);
+        }
+    }
+    
+    const outputDir = path.join(config.outputDir, 'images', 'remote');
+    const optimizer = new ImageOptimizer({ ...config.images, outputDir });
+    let images = [];
+    if (urlsByFile.size > 0) {
+        const downloaded = (await optimizer.scanDirectory(cacheDir)).filter(image => urlsByFile.has(path.resolve(image.path)));
+        ({ images } = await optimizer.optimizeImages(downloaded, cacheDir, outputDir));
+    }
+    
+    // An offline build still works, but its output is not what a deploy would publish
+    const kept = remoteImages.length - images.length;
+    if (kept > 0) {
+        step.degraded = `${kept} of ${remoteImages.length} remote image(s) not self-hosted`;
+        if (required) {
+            throw new Error(step.degraded);
+        }
+    }
+    
+    return toResponsiveImages(optimizer, images, outputDir, image => urlsByFile.get(path.resolve(image.path)));
+}
+
+// Record an asset's output, and any chunks split off it, in the manifest
+function addToManifest(manifest, assetStats) {
+    manifest[assetStats.source] = path.relative(config.outputDir, assetStats.output);
+    Object.entries(assetStats.chunks || {}).forEach(([key, file]) => {
+        manifest[key] = path.relative(config.outputDir, file);
+    });
+}
+
+// Minify a single asset with the matching minifier
+async function minifyAsset(asset) {
+    let assetStats;
+    
+    if (asset.type === 'css') {
+        assetStats = minifyCSS(asset.input, asset.output);
+    } else if (asset.type === 'bundle') {
+        assetStats = await bundleJS(asset.input, asset.output, asset.format);
+    } else {
+        assetStats = await minifyJS(asset.input, asset.output);
+    }
+    
+    return assetStats ? { file: asset.name, source: asset.key, ...assetStats } : null;
+}
+
+// Run a build step and record its outcome; a null result counts as a failure. fn receives the
+// step and sets step.degraded when it succeeded with less than the real output
+async function runStep(steps, name, fn) {
+    const step = { name };
+    steps.push(step);
+    
+    try {
+        const result = await fn(step);
+        step.ok = result !== null;
+        return result;
+    } catch (error) {
+        step.ok = false;
+        step.error = error.message;
+        return null;
+    }
+}
+
+function printSummary(steps) {
+    console.log('\n📋 Build steps:');
+    steps.forEach(step => {
+        const mark = !step.ok ? '✗' : step.degraded ? '⚠' : '✓';
+        const detail = step.error || step.degraded;
+        console.log(`  ${mark} ${step.name}${detail ? ` (${detail})` : ''}`);
+    });
+}
+
+// Stop the build if any step so far has failed
+function assertStepsSucceeded(steps) {
+    const failed = steps.filter(step => !step.ok);
+    if (failed.length > 0) {
+        printSummary(steps);
+        throw new Error(`${failed.length} build step(s) failed: ${failed.map(step => step.name).join(', ')}`);
+    }
+}
+
 // Main build function
 async function build() {
-    console.log('🚀 Starting build process...\n');
+    console.log(`🚀 Starting build process (${profile} profile)...\n`);
+    
+    // Ensure output directory exists
+    if (!fs.existsSync(config.outputDir)) {
+        fs.mkdirSync(config.outputDir, { recursive: true });
+    }
     
+    const steps = [];
     const stats = [];
+    const manifest = {};
     
-    // Minify CSS
-    const cssStats = minifyCSS(config.input.css, config.output.css);
-    if (cssStats) {
-        stats.push({ file: 'CSS', ...cssStats });
-    }
+    // Inputs come from the <link>/<script> tags of the HTML entry
+    const assets = await runStep(steps, `Resolve inputs from ${config.input.html}`, getAssets);
+    assertStepsSucceeded(steps);
     
-    // Minify JavaScript files
-    const jsFiles = [
-        { input: config.input.js, output: config.output.js, name: 'Main JS' },
-        { input: config.input.optimization, output: config.output.optimization, name: 'Optimization JS' }
-    ];
+    // Optimized variants replace local and remote images in the HTML and the scripts' `image:` values
+    const images = {
+        ...(config.images.rewrite ? await runStep(steps, `Optimize images in ${config.images.sourceDir}`, optimizeImages) : {}),
+        ...(config.images.selfHost.enabled ? await runStep(steps, 'Self-host remote images', selfHostImages) : {})
+    };
+    assertStepsSucceeded(steps);
     
-    for (const jsFile of jsFiles) {
-        const jsStats = await minifyJS(jsFile.input, jsFile.output);
-        if (jsStats) {
-            stats.push({ file: jsFile.name, ...jsStats });
+    // Minify CSS and JavaScript files
+    for (const asset of assets) {
+        const assetStats = await runStep(steps, asset.name, () => minifyAsset(asset));
+        if (assetStats) {
+            stats.push(assetStats);
+            addToManifest(manifest, assetStats);
         }
     }
+    assertStepsSucceeded(steps);
+    
+    // Record hashed filenames
+    await runStep(steps, 'Write manifest', () => writeManifest(manifest));
     
     // Update HTML
-    updateHTML();
+    await runStep(steps, 'Generate HTML', () => updateHTML(manifest, images));
+    assertStepsSucceeded(steps);
+    
+    // Pre-compress HTML, CSS and JS
+    const compressed = await runStep(steps, 'Compress assets', () => compressAssets());
+    assertStepsSucceeded(steps);
+    
+    // Check performance budgets, comparing with the previous build
+    const sizes = collectSizes(manifest, compressed);
+    const budgetResults = checkBudgets(sizes, config.budgets, readBaseline(config.budgets.baselineFile, baselineKey));
     
     // Generate report
-    generateReport(stats);
+    await runStep(steps, 'Generate build report', () => generateReport(stats, compressed, budgetResults));
+    
+    const exceeded = budgetResults.some(row => row.exceeded);
+    steps.push({ name: 'Check performance budgets', ok: !exceeded });
+    if (exceeded) {
+        console.error('\n❌ Performance budgets exceeded:');
+        printExceeded(budgetResults);
+    }
+    assertStepsSucceeded(steps);
+    
+    writeBaseline(config.budgets.baselineFile, baselineKey, sizes);
+    printSummary(steps);
+    
+    const degraded = steps.filter(step => step.degraded);
+    console.log(degraded.length > 0
+        ? `\n⚠️  Build completed, degraded: ${degraded.map(step => step.name).join(', ')}`
+        : '\n✅ Build completed successfully!');
+    console.log(`📁 Output files in /${config.outputDir} directory`);
+    
+    return { stats, manifest, compressed, images };
+}
+
+function formatSizeChange(before, after) {
+    const delta = after - before;
+    const sign = delta > 0 ? '+' : '';
+    return `${before} → ${after} bytes (${sign}${delta} bytes)`;
+}
+
+// Rebuild assets as their sources change
+async function watch() {
+    const { stats, manifest, images } = await build();
+    const lastStats = new Map(stats.map(stat => [stat.source, stat]));
+    const assets = getAssets();
+    const timers = new Map();
+    const watched = new Set();
+    
+    // Files an asset is built from: every bundled module, or just its input
+    function getSources(asset) {
+        const stat = lastStats.get(asset.key);
+        return stat && stat.modules ? stat.modules : [asset.input];
+    }
+    
+    async function rebuild(file) {
+        const started = Date.now();
+        const changedAssets = assets.filter(asset => getSources(asset).includes(file));
+        console.log(`\n🔄 ${file} changed`);
+        
+        for (const asset of changedAssets) {
+            const assetStats = await minifyAsset(asset);
+            if (!assetStats) {
+                continue;
+            }
+            
+            const previous = lastStats.get(asset.key);
+            if (previous) {
+                console.log(`  ${asset.name} original: ${formatSizeChange(previous.originalSize, assetStats.originalSize)}`);
+                console.log(`  ${asset.name} minified: ${formatSizeChange(previous.minifiedSize, assetStats.minifiedSize)}`);
+            }
+            
+            lastStats.set(asset.key, assetStats);
+            Object.keys((previous && previous.chunks) || {}).forEach(key => delete manifest[key]);
+            addToManifest(manifest, assetStats);
+            getSources(asset).forEach(watchFile);
+        }
+        
+        if (changedAssets.length > 0) {
+            writeManifest(manifest);
+        }
+        
+        await updateHTML(manifest, images);
+        const compressed = compressAssets();
+        
+        const budgetResults = checkBudgets(collectSizes(manifest, compressed), config.budgets, readBaseline(config.budgets.baselineFile, baselineKey));
+        if (changedAssets.length > 0) {
+            generateReport(Array.from(lastStats.values()), compressed, budgetResults);
+        }
+        
+        if (budgetResults.some(row => row.exceeded)) {
+            console.warn('⚠️  Performance budgets exceeded:');
+            printExceeded(budgetResults);
+        }
+        console.log(`✅ Rebuilt in ${Date.now() - started}ms`);
+    }
+    
+    function watchFile(file) {
+        if (watched.has(file)) {
+            return;
+        }
+        if (!fs.existsSync(file)) {
+            console.warn(`⚠️  Cannot watch missing file: ${file}`);
+            return;
+        }
+        
+        watched.add(file);
+        
+        // Editors often emit several events per save
+        fs.watch(file, () => {
+            clearTimeout(timers.get(file));
+            timers.set(file, setTimeout(() => {
+                rebuild(file).catch(console.error);
+            }, 100));
+        });
+    }
+    
+    [...assets.flatMap(getSources), config.input.html, ...listPartials(config.partialsDir)].forEach(watchFile);
+    
+    // Serve the build output, reloading the browser on every rebuild
+    if (process.argv.includes('--serve')) {
+        require('live-server').start({ root: config.outputDir, port: config.devServer.port, wait: 200 });
+    }
     
-    console.log('\n✅ Build completed successfully!');
-    console.log('📁 Output files in /dist directory');
+    console.log('\n👀 Watching for changes... (Ctrl+C to stop)');
 }
 
 // Run build
 if (require.main === module) {
-    build().catch(console.error);
+    const run = process.argv.includes('--watch') ? watch : build;
+    run().catch(error => {
+        console.error(`\n❌ Build failed: ${error.message}`);
+        process.exit(1);
+    });
 }
 
-module.exports = { build, minifyJS, minifyCSS };
\ No newline at end of file
+module.exports = { build, watch, minifyJS, minifyCSS, bundleJS, compressFile };
@@ -0,0 +1,274 @@
+// Build & Deploy Configuration Loader
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['portfolio.config.js', 'portfolio.config.json'];
+
+// Defaults used when no config file (or no matching key) is present
+const defaults = {
+    defaultProfile: 'production',
+    build: {
+        // Stylesheets and scripts are resolved from the <link>/<script> tags of this page;
+        // type="module" scripts are bundled with their imports
+        input: {
+            html: 'index.html'
+        },
+        // Output names are relative to outputDir; [name] is the source basename and
+        // [hash] a digest of the minified content (for module bundles and their chunks, of the bundled code)
+        output: {
+            css: '[name].[hash].min.css',
+            js: '[name].[hash].min.js',
+            legacy: '[name].legacy.[hash].min.js'
+        },
+        // Also emit a non-module (IIFE) bundle loaded via <script nomodule>
+        legacyBundle: true,
+        // {{> name }} includes are read from here; {{ site.* }} and {{ year }} are available as variables
+        partialsDir: 'partials',
+        site: {},
+        devServer: {
+            port: 3000
+        },
+        outputDir: 'dist',
+        hashLength: 8,
+        // image-optimizer.js reads sources from sourceDir and writes resized variants to
+        // <outputDir>/images; formats are generated in addition to the source format
+        images: {
+            sourceDir: 'images',
+            // Names ("node_modules", "*.tmp.png") or paths ("assets/raw/**") that are never scanned
+            ignore: ['node_modules', 'dist', 'backup', '.git'],
+            // Images encoded at once; null uses one per CPU core
+            concurrency: null,
+            // `node image-optimizer.js [dir]` exits non-zero when an image breaks one of these;
+            // maxBytes accepts sizes such as "200 KB", null disables a check
+            thresholds: {
+                maxBytes: null,
+                maxWidth: null,
+                maxHeight: null,
+                requireModernFormat: false
+            },
+            formats: ['webp', 'avif'],
+            // Optimize sourceDir during the build, replace <img> tags in the HTML with the responsive
+            // variants and write the variants of `image:` values in the scripts into the page
+            rewrite: false,
+            // sizes attribute of generated <img>/<source> tags (project cards are ~400px wide)
+            sizes: '(max-width: 700px) 100vw, 400px',
+            // Download remote images used by <img> tags and `image:` values into cacheDir
+            // (reused on later and offline builds) and serve them from <outputDir>/images/remote
+            selfHost: {
+                enabled: false,
+                cacheDir: '.image-cache',
+                timeout: 15000,
+                // Fail the build instead of keeping remote URLs, for CI runs that must test the real output
+                required: false
+            },
+            quality: {
+                jpeg: 80,
+                png: 80,
+                webp: 80,
+                avif: 50
+            }
+        },
+        // `npm run test-performance` audits outputDir (or url) in jsdom and exits non-zero when a
+        // PerformanceTester score (0-100) is below its threshold; null disables a check
+        performanceTest: {
+            url: null,
+            timeout: 10000,
+            // Every run's report is saved here as JSON for `node performance-runner.js history`
+            historyDir: 'performance-history',
+            thresholds: {
+                overall: 80,
+                performance: null,
+                accessibility: null,
+                bestPractices: null,
+                seo: null
+            }
+        },
+        // Real user monitoring: pages send Web Vitals, slow resources and errors to endpoint
+        // (empty disables it), e.g. "http://localhost:8787/rum" for `node rum-collector.js`
+        rum: {
+            endpoint: '',
+            // Fraction of visits that report
+            sampleRate: 1,
+            collector: {
+                port: 8787,
+                path: '/rum',
+                file: 'rum.jsonl'
+            }
+        },
+        sourceMaps: true,
+        // Pre-compressed siblings written next to every HTML/CSS/JS file
+        compression: {
+            gzip: true,
+            brotli: true
+        },
+        // Rules matching these elements are inlined into <head>; see critical-css.js
+        criticalCSS: {
+            enabled: true,
+            selectors: ['header', '.hero', '.section-title'],
+            runtimeClasses: ['dark-mode']
+        },
+        // Size limits in bytes (or "20 KB"), keyed by source file; see budgets.js
+        budgets: {
+            assets: {},
+            total: {},
+            baselineFile: '.size-baseline.json'
+        },
+        minify: {
+            js: {
+                compress: {
+                    drop_console: false,
+                    drop_debugger: true
+                },
+                mangle: {
+                    toplevel: false
+                },
+                format: {
+                    comments: false
+                }
+            },
+            css: {
+                level: {
+                    1: {
+                        all: true,
+                        normalizeUrls: false
+                    },
+                    2: {
+                        all: true
+                    }
+                }
+            },
+            // html-minifier-terser options, or false to keep the markup as is
+            html: {
+                collapseWhitespace: true,
+                conservativeCollapse: true,
+                removeComments: true,
+                collapseBooleanAttributes: true,
+                removeRedundantAttributes: true,
+                useShortDoctype: true,
+                minifyJS: true
+            }
+        }
+    },
+    deploy: {
+        sourceDir: '.',
+        backupDir: 'backup',
+        // Backups beyond maxCount or older than maxAgeDays are deleted (0 disables a limit)
+        backupRetention: {
+            maxCount: 10,
+            maxAgeDays: 30
+        },
+        // Any git remote works, including a local bare repository path
+        remote: 'https://github.com/yourusername/portfolio.git',
+        branch: 'gh-pages',
+        siteUrl: 'https://yourusername.github.io/portfolio',
+        commitAuthor: {
+            name: 'Portfolio Deploy',
+            email: 'deploy@localhost'
+        },
+        deploySourceMaps: true,
+        dryRun: false,
+        // Checks run after each deployment; a failure rolls back to the previous backup.
+        // Without a url the published directory (or the build) is served locally
+        smokeTest: {
+            enabled: true,
+            url: null,
+            timeout: 10000
+        },
+        // Where the build is published: github-pages, local, sync or s3; see deploy-targets.js
+        target: 'github-pages',
+        targets: {
+            // Full copy into a directory (its previous contents are replaced)
+            local: {
+                directory: 'public'
+            },
+            // Copy only changed files, deleting files no longer in the build
+            sync: {
+                directory: 'public',
+                delete: true
+            },
+            // Any S3-compatible store; credentials default to AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY
+            s3: {
+                endpoint: 'https://s3.amazonaws.com',
+                bucket: 'portfolio',
+                region: 'us-east-1',
+                prefix: '',
+                forcePathStyle: true,
+                delete: true
+            }
+        }
+    },
+    profiles: {}
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge overrides into base; arrays and primitives replace, objects merge
+function deepMerge(base, overrides) {
+    const result = { ...base };
+
+    Object.keys(overrides || {}).forEach(key => {
+        result[key] = isPlainObject(base[key]) && isPlainObject(overrides[key])
+            ? deepMerge(base[key], overrides[key])
+            : overrides[key];
+    });
+
+    return result;
+}
+
+// Read --profile=<name> or --profile <name> from command line arguments
+function getProfileFromArgs(argv = process.argv) {
+    const index = argv.findIndex(arg => arg === '--profile' || arg.startsWith('--profile='));
+    if (index === -1) {
+        return null;
+    }
+
+    return argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+}
+
+// Command line arguments that are not flags, skipping the value of --profile <name>
+function getPositionalArgs(argv = process.argv) {
+    return argv.slice(2).filter((arg, index, all) => !arg.startsWith('--') && all[index - 1] !== '--profile');
+}
+
+// Locate and read the project config file, if any
+function readConfigFile(cwd = process.cwd()) {
+    const file = CONFIG_FILES
+        .map(name => path.join(cwd, name))
+        .find(filePath => fs.existsSync(filePath));
+
+    if (!file) {
+        return { file: null, data: {} };
+    }
+
+    const data = file.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : require(file);
+
+    return { file, data };
+}
+
+// Resolve the build and deploy settings for a profile
+function loadConfig({ profile = getProfileFromArgs(), cwd = process.cwd() } = {}) {
+    const { file, data } = readConfigFile(cwd);
+    const base = deepMerge(defaults, data);
+    const profileName = profile || base.defaultProfile;
+
+    if (profileName && Object.keys(base.profiles).length > 0 && !base.profiles[profileName]) {
+        throw new Error(`Unknown profile "${profileName}". Available profiles: ${Object.keys(base.profiles).join(', ')}`);
+    }
+
+    const profileConfig = base.profiles[profileName] || {};
+    const build = deepMerge(base.build, profileConfig.build);
+    const deploy = deepMerge({ buildDir: build.outputDir, ...base.deploy }, profileConfig.deploy);
+
+    return {
+        file,
+        profile: profileName,
+        build,
+        deploy
+    };
+}
+
+module.exports = { loadConfig, getProfileFromArgs, getPositionalArgs, deepMerge };
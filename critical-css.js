@@ -0,0 +1,102 @@
+// Critical CSS Extraction
+const postcss = require('postcss');
+const cheerio = require('cheerio');
+
+// Interaction states and generated content never affect first paint matching
+const STATE_PSEUDOS = /::?(hover|focus|focus-visible|focus-within|active|visited|before|after|placeholder|selection|first-letter|first-line)\b/g;
+
+// Reduce a selector to the part that can be matched against static markup
+function toMatchableSelector(selector, runtimeClasses = []) {
+    let matchable = selector.replace(STATE_PSEUDOS, '');
+
+    // Classes toggled by scripts (e.g. dark mode) are treated as always present
+    runtimeClasses.forEach(className => {
+        matchable = matchable.replace(new RegExp(`\\.${className}(?![\\w-])`, 'g'), '');
+    });
+
+    matchable = matchable.trim();
+    if (matchable === '' || /[>+~]$/.test(matchable)) {
+        matchable += ' *';
+    }
+    return matchable.trim();
+}
+
+// Elements painted above the fold: the configured roots, their content and their ancestors
+function getAboveFoldElements($, selectors) {
+    const roots = $(selectors.join(', '));
+    return new Set([
+        ...roots.toArray(),
+        ...roots.find('*').toArray(),
+        ...roots.parents().toArray()
+    ]);
+}
+
+function matchesAboveFold($, selector, aboveFold, runtimeClasses) {
+    try {
+        return $(toMatchableSelector(selector, runtimeClasses))
+            .toArray()
+            .some(element => aboveFold.has(element));
+    } catch (error) {
+        // Keep rules we cannot evaluate rather than risk an unstyled first paint
+        return true;
+    }
+}
+
+// Append a rule to the output, recreating any @media/@supports wrappers around it
+function appendWithParents(output, parent, node, wrappers) {
+    if (parent.type === 'root') {
+        output.append(node);
+        return;
+    }
+
+    if (!wrappers.has(parent)) {
+        const wrapper = parent.clone({ nodes: [] });
+        appendWithParents(output, parent.parent, wrapper, wrappers);
+        wrappers.set(parent, wrapper);
+    }
+
+    wrappers.get(parent).append(node);
+}
+
+// Collect the rules of a stylesheet needed to render the above-the-fold markup
+function extractCriticalCSS(html, css, options = {}) {
+    const { selectors = ['header', '.hero'], runtimeClasses = [] } = options;
+    const $ = cheerio.load(html);
+    const aboveFold = getAboveFoldElements($, selectors);
+    const source = postcss.parse(css);
+    const output = postcss.root();
+    const wrappers = new Map();
+    const animations = new Set();
+
+    source.walkRules(rule => {
+        if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) {
+            return;
+        }
+
+        const matched = rule.selectors.filter(selector =>
+            matchesAboveFold($, selector, aboveFold, runtimeClasses)
+        );
+        if (matched.length === 0) {
+            return;
+        }
+
+        const critical = rule.clone({ selectors: matched });
+        critical.walkDecls(/^animation(-name)?$/, decl => {
+            decl.value.split(/[\s,]+/).forEach(name => animations.add(name));
+        });
+
+        appendWithParents(output, rule.parent, critical, wrappers);
+    });
+
+    // Keyframes used by critical rules, plus any web fonts
+    source.walkAtRules(atRule => {
+        const isUsedKeyframes = /keyframes$/i.test(atRule.name) && animations.has(atRule.params);
+        if (isUsedKeyframes || atRule.name === 'font-face') {
+            output.append(atRule.clone());
+        }
+    });
+
+    return output.toString();
+}
+
+module.exports = { extractCriticalCSS };
@@ -0,0 +1,277 @@
+// Deploy Target Checks
+// Runs the github-pages and s3 targets against local stand-ins (a bare git repository and an
+// in-memory S3 server that verifies Signature Version 4) so they can be checked without credentials
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { GitPagesTarget, S3Target } = require('./deploy-targets');
+
+const ACCESS_KEY_ID = 'check-access-key';
+const SECRET_ACCESS_KEY = 'check-secret-key';
+const BUCKET = 'portfolio';
+// Small pages, so listing has to follow continuation tokens
+const LIST_PAGE_SIZE = 2;
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function escapeXML(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Recompute the request's AWS Signature Version 4 from what arrived on the wire
+function verifySignature(req, body) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+        .exec(req.headers.authorization || '');
+    if (!match || match[1] !== ACCESS_KEY_ID || req.headers['x-amz-content-sha256'] !== sha256Hex(body)) {
+        return false;
+    }
+
+    const [, , date, region, signedHeaders, signature] = match;
+    const [pathname, query = ''] = req.url.split('?');
+    const canonicalRequest = [
+        req.method,
+        pathname,
+        query.split('&').filter(Boolean).sort().join('&'),
+        signedHeaders.split(';').map(name => `${name}:${String(req.headers[name]).trim()}\n`).join(''),
+        signedHeaders,
+        req.headers['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = [date, region, 's3', 'aws4_request'].reduce((key, part) => hmac(key, part), `AWS4${SECRET_ACCESS_KEY}`);
+
+    return hmac(signingKey, stringToSign).toString('hex') === signature;
+}
+
+// Path-style S3 stand-in keeping one bucket in memory; every request is logged as "METHOD key"
+function startS3Server() {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = new URL(req.url, 'http://localhost');
+            const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+            const key = keyParts.map(decodeURIComponent).join('/');
+
+            if (!verifySignature(req, body)) {
+                res.writeHead(403);
+                res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+                return;
+            }
+            if (bucket !== BUCKET) {
+                res.writeHead(404);
+                res.end('<Error><Code>NoSuchBucket</Code></Error>');
+                return;
+            }
+
+            requests.push(`${req.method} ${key}`);
+
+            if (req.method === 'GET' && key === '' && url.searchParams.get('list-type') === '2') {
+                const prefix = url.searchParams.get('prefix') || '';
+                const start = Number(url.searchParams.get('continuation-token') || 0);
+                const keys = Array.from(objects.keys()).filter(name => name.startsWith(prefix)).sort();
+                const page = keys.slice(start, start + LIST_PAGE_SIZE);
+                const truncated = start + LIST_PAGE_SIZE < keys.length;
+
+                res.writeHead(200, { 'Content-Type': 'application/xml' });
+                res.end(`<ListBucketResult>${page.map(name =>
+                    `<Contents><Key>${escapeXML(name)}</Key><ETag>"${objects.get(name).etag}"</ETag></Contents>`
+                ).join('')}<IsTruncated>${truncated}</IsTruncated>${truncated
+                    ? `<NextContinuationToken>${start + LIST_PAGE_SIZE}</NextContinuationToken>`
+                    : ''}</ListBucketResult>`);
+            } else if (req.method === 'PUT' && key) {
+                objects.set(key, {
+                    body,
+                    etag: crypto.createHash('md5').update(body).digest('hex'),
+                    contentType: req.headers['content-type']
+                });
+                res.writeHead(200);
+                res.end();
+            } else if (req.method === 'DELETE' && key) {
+                objects.delete(key);
+                res.writeHead(204);
+                res.end();
+            } else {
+                res.writeHead(400);
+                res.end('<Error><Code>InvalidRequest</Code></Error>');
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                objects,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+function writeFiles(dir, files) {
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    });
+}
+
+async function git(args, cwd) {
+    const { stdout } = await execFile('git', args, { cwd });
+    return stdout.trim();
+}
+
+async function checkS3Target(workDir, record) {
+    const buildDir = path.join(workDir, 's3-build');
+    writeFiles(buildDir, {
+        'index.html': '<!DOCTYPE html><title>Portfolio</title>',
+        'script.abc123.min.js': 'console.log(1);',
+        'images/my photo.jpg': 'not really a jpeg'
+    });
+
+    const s3 = await startS3Server();
+    const target = new S3Target({
+        endpoint: s3.endpoint,
+        bucket: BUCKET,
+        prefix: 'site/',
+        accessKeyId: ACCESS_KEY_ID,
+        secretAccessKey: SECRET_ACCESS_KEY
+    });
+
+    try {
+        const first = await target.deploy({ buildDir, dryRun: false });
+        record('s3: first deploy uploads every file', first.uploaded.length === 3 && s3.objects.size === 3,
+            `uploaded ${first.uploaded.join(', ')}`);
+        record('s3: keys are encoded and signed', s3.objects.has('site/images/my photo.jpg'));
+        record('s3: content types are set', s3.objects.get('site/index.html').contentType === 'text/html; charset=utf-8');
+
+        s3.requests.length = 0;
+        const second = await target.deploy({ buildDir, dryRun: false });
+        record('s3: unchanged files are skipped', second.uploaded.length === 0 && second.skipped.length === 3,
+            `requests: ${s3.requests.join(', ')}`);
+        record('s3: listing follows continuation tokens', s3.requests.filter(request => request === 'GET ').length === 2,
+            `requests: ${s3.requests.join(', ')}`);
+
+        // Objects outside the prefix belong to someone else and must survive
+        await target.request('PUT', target.objectURL('other/keep.txt'), Buffer.from('keep'));
+        writeFiles(buildDir, { 'index.html': '<!DOCTYPE html><title>Portfolio v2</title>' });
+        fs.rmSync(path.join(buildDir, 'script.abc123.min.js'));
+
+        const dryRun = await target.deploy({ buildDir, dryRun: true });
+        record('s3: a dry run changes nothing', s3.objects.get('site/index.html').body.toString().includes('<title>Portfolio</title>') &&
+            dryRun.uploaded.includes('index.html') && dryRun.deleted.includes('script.abc123.min.js'));
+
+        s3.requests.length = 0;
+        await target.deploy({ buildDir, dryRun: false });
+        const writes = s3.requests.filter(request => !request.startsWith('GET'));
+        record('s3: only changed files are uploaded and removed files deleted',
+            writes.join(', ') === 'PUT site/index.html, DELETE site/script.abc123.min.js', writes.join(', '));
+        record('s3: objects outside the prefix are kept', s3.objects.has('other/keep.txt'));
+
+        const forged = new S3Target({ ...target.options, secretAccessKey: 'wrong-secret' });
+        const rejected = await forged.listObjects().then(() => false, error => /403/.test(error.message));
+        record('s3: a wrong secret is rejected', rejected);
+    } finally {
+        await s3.close();
+    }
+}
+
+async function checkGitPagesTarget(workDir, record) {
+    const buildDir = path.join(workDir, 'git-build');
+    const remote = path.join(workDir, 'remote.git');
+    writeFiles(buildDir, {
+        'index.html': '<!DOCTYPE html><title>Portfolio</title>',
+        'styles.abc123.min.css': 'body{margin:0}',
+        'deployment-report.json': '{"timestamp":"first"}'
+    });
+    await git(['init', '--quiet', '--bare', remote], workDir);
+
+    const target = new GitPagesTarget({
+        remote,
+        branch: 'gh-pages',
+        commitAuthor: { name: 'Deploy Check', email: 'deploy-check@localhost' },
+        siteUrl: null
+    });
+    const files = () => git(['ls-tree', '-r', '--name-only', 'gh-pages'], remote).then(output => output.split('\n'));
+    const commits = () => git(['rev-list', '--count', 'gh-pages'], remote).then(Number);
+
+    const dryRun = await target.deploy({ buildDir, buildHash: 'check1', dryRun: true });
+    const branchesAfterDryRun = await git(['branch', '--list'], remote);
+    record('git: a dry run pushes nothing', branchesAfterDryRun === '' && dryRun.uploaded.length === 4);
+
+    await target.deploy({ buildDir, buildHash: 'check1', dryRun: false });
+    record('git: first deploy creates the branch with the build and .nojekyll',
+        (await files()).join(',') === '.nojekyll,deployment-report.json,index.html,styles.abc123.min.css', (await files()).join(', '));
+    record('git: the commit message carries the build hash',
+        (await git(['log', '-1', '--format=%s', 'gh-pages'], remote)).startsWith('Deploy build check1'));
+
+    const unchanged = await target.deploy({ buildDir, buildHash: 'check1', dryRun: false });
+    record('git: an unchanged build creates no commit', (await commits()) === 1 && unchanged.uploaded.length === 0,
+        `${await commits()} commit(s)`);
+
+    writeFiles(buildDir, { 'deployment-report.json': '{"timestamp":"second"}' });
+    const reportOnly = await target.deploy({
+        buildDir, buildHash: 'check1', dryRun: false, ignoreChanges: ['deployment-report.json']
+    });
+    record('git: a build where only ignored files changed creates no commit',
+        (await commits()) === 1 && reportOnly.uploaded.length === 0, `${await commits()} commit(s)`);
+
+    writeFiles(buildDir, { 'styles.def456.min.css': 'body{margin:1px}' });
+    fs.rmSync(path.join(buildDir, 'styles.abc123.min.css'));
+    const changed = await target.deploy({ buildDir, buildHash: 'check2', dryRun: false });
+    record('git: a changed build is committed on top',
+        (await commits()) === 2 && changed.deleted.includes('styles.abc123.min.css') && (await files()).includes('styles.def456.min.css'),
+        `${await commits()} commit(s), deleted ${changed.deleted.join(', ')}`);
+}
+
+async function runDeployChecks() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-deploy-check-'));
+    const results = [];
+    const record = (check, passed, detail = '') => results.push({ check, passed, detail });
+
+    try {
+        for (const check of [checkGitPagesTarget, checkS3Target]) {
+            try {
+                await check(workDir, record);
+            } catch (error) {
+                record(`${check.name} completes`, false, error.message);
+            }
+        }
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    return results;
+}
+
+// CLI usage
+if (require.main === module) {
+    runDeployChecks().then(results => {
+        console.log('\n🧪 Deploy target checks');
+        results.forEach(({ check, passed, detail }) => {
+            console.log(`  ${passed ? '✅' : '❌'} ${check}${passed || !detail ? '' : ` (${detail})`}`);
+        });
+
+        if (results.some(result => !result.passed)) {
+            process.exitCode = 1;
+        }
+    });
+}
+
+module.exports = { runDeployChecks, startS3Server };
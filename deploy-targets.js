@@ -0,0 +1,441 @@
+// Deployment Targets
+// Every target implements deploy({ buildDir, buildHash, dryRun, ignoreChanges }) and resolves to
+// { uploaded, skipped, deleted } lists of paths relative to the build directory;
+// targets that publish to a local directory also return it as `directory`.
+// `ignoreChanges` lists files that change on every run (the build and deployment reports) and
+// so do not make a deployment worth a new commit on their own.
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.gz': 'application/gzip',
+    '.br': 'application/x-brotli'
+};
+
+// Files below dir as sorted, forward-slash relative paths
+function listFiles(dir, base = dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir).sort().flatMap(file => {
+        const filePath = path.join(dir, file);
+        return fs.lstatSync(filePath).isDirectory()
+            ? listFiles(filePath, base)
+            : [path.relative(base, filePath).split(path.sep).join('/')];
+    });
+}
+
+function md5File(filePath) {
+    return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function copyFile(source, target) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+}
+
+function isSameOrInside(dir, parent) {
+    const relative = path.relative(parent, dir);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// Local targets replace or prune their directory, so it must not hold the project or the build
+function assertSafeDirectory(directory, buildDir) {
+    const target = path.resolve(directory);
+    const protectedDirs = [process.cwd(), path.resolve(buildDir)];
+
+    if (protectedDirs.some(dir => isSameOrInside(dir, target)) || isSameOrInside(target, path.resolve(buildDir))) {
+        throw new Error(`Refusing to deploy to ${directory}: it is, contains or is inside the project or build directory`);
+    }
+}
+
+function logResult(name, result, dryRun) {
+    const verb = dryRun ? 'would upload' : 'uploaded';
+    console.log(`✅ ${name}: ${result.uploaded.length} ${verb}, ${result.skipped.length} unchanged, ${result.deleted.length} deleted`);
+}
+
+// Commits the build to a branch of a git remote (GitHub Pages by default)
+class GitPagesTarget {
+    constructor(options) {
+        this.options = options;
+    }
+
+    async git(args, cwd) {
+        const { stdout } = await execFile('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 });
+        return stdout.trim();
+    }
+
+    // Check out the deploy branch of the remote into a scratch repository
+    async checkoutBranch(workDir) {
+        const { remote, branch } = this.options;
+
+        await this.git(['init', '--quiet'], workDir);
+        await this.git(['remote', 'add', 'origin', remote], workDir);
+
+        try {
+            await this.git(['fetch', '--quiet', '--depth', '1', 'origin', branch], workDir);
+            await this.git(['checkout', '--quiet', '-B', branch, 'FETCH_HEAD'], workDir);
+            return true;
+        } catch (error) {
+            // First deployment: start the branch from scratch
+            await this.git(['checkout', '--quiet', '--orphan', branch], workDir);
+            return false;
+        }
+    }
+
+    // Replace the working tree with the contents of the build directory
+    replaceWorkingTree(workDir, buildDir) {
+        fs.readdirSync(workDir)
+            .filter(file => file !== '.git')
+            .forEach(file => fs.rmSync(path.join(workDir, file), { recursive: true, force: true }));
+
+        listFiles(buildDir).forEach(file => copyFile(path.join(buildDir, file), path.join(workDir, file)));
+
+        // Serve files as-is instead of running them through Jekyll
+        fs.writeFileSync(path.join(workDir, '.nojekyll'), '');
+    }
+
+    async deploy({ buildDir, buildHash, dryRun, ignoreChanges = [] }) {
+        const { remote, branch, commitAuthor, siteUrl } = this.options;
+        console.log(`🚀 Deploying ${buildDir}/ to ${remote} (${branch})${dryRun ? ' [dry run]' : ''}...`);
+
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-deploy-'));
+        const result = { uploaded: [], skipped: [], deleted: [] };
+
+        try {
+            const branchExists = await this.checkoutBranch(workDir);
+            this.replaceWorkingTree(workDir, buildDir);
+
+            await this.git(['add', '--all'], workDir);
+            const changes = await this.git(['status', '--porcelain', '--no-renames'], workDir);
+
+            changes.split('\n').filter(Boolean).forEach(line => {
+                const file = line.slice(3);
+                (line[0] === 'D' ? result.deleted : result.uploaded).push(file);
+            });
+            result.skipped = listFiles(workDir)
+                .filter(file => !file.startsWith('.git/') && !result.uploaded.includes(file));
+
+            if ([...result.uploaded, ...result.deleted].every(file => ignoreChanges.includes(file))) {
+                console.log('✅ Nothing to deploy: branch already matches the build');
+                return { uploaded: [], skipped: result.skipped.concat(result.uploaded), deleted: [] };
+            }
+
+            console.log(`📝 Changes${branchExists ? '' : ` (new branch ${branch})`}:`);
+            changes.split('\n').forEach(line => console.log(`  ${line}`));
+
+            if (dryRun) {
+                console.log('✅ Dry run complete, nothing was pushed');
+                return result;
+            }
+
+            const message = `Deploy build ${buildHash} at ${new Date().toISOString()}`;
+            await this.git([
+                '-c', `user.name=${commitAuthor.name}`,
+                '-c', `user.email=${commitAuthor.email}`,
+                'commit', '--quiet', '-m', message
+            ], workDir);
+            await this.git(['push', '--quiet', 'origin', `HEAD:refs/heads/${branch}`], workDir);
+
+            const sha = await this.git(['rev-parse', '--short', 'HEAD'], workDir);
+            console.log(`✅ Pushed ${sha} "${message}"`);
+            if (siteUrl) {
+                console.log(`🔗 Your site should be available at: ${siteUrl}`);
+            }
+
+            return result;
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+// Replaces a local directory (e.g. an nginx docroot) with a full copy of the build
+class LocalDirectoryTarget {
+    constructor(options) {
+        this.options = options;
+    }
+
+    async deploy({ buildDir, dryRun }) {
+        const { directory } = this.options;
+        assertSafeDirectory(directory, buildDir);
+        console.log(`🚀 Copying ${buildDir}/ to ${directory}${dryRun ? ' [dry run]' : ''}...`);
+
+        const files = listFiles(buildDir);
+        const result = {
+            directory,
+            uploaded: files,
+            skipped: [],
+            deleted: listFiles(directory).filter(file => !files.includes(file))
+        };
+
+        if (!dryRun) {
+            fs.rmSync(directory, { recursive: true, force: true });
+            files.forEach(file => copyFile(path.join(buildDir, file), path.join(directory, file)));
+        }
+
+        logResult(directory, result, dryRun);
+        return result;
+    }
+}
+
+// Copies only files whose content changed, rsync-style, optionally deleting extras
+class SyncTarget {
+    constructor(options) {
+        this.options = options;
+    }
+
+    async deploy({ buildDir, dryRun }) {
+        const { directory, delete: deleteExtraneous = true } = this.options;
+        assertSafeDirectory(directory, buildDir);
+        console.log(`🚀 Syncing ${buildDir}/ to ${directory}${dryRun ? ' [dry run]' : ''}...`);
+
+        const files = listFiles(buildDir);
+        const result = { directory, uploaded: [], skipped: [], deleted: [] };
+
+        files.forEach(file => {
+            const target = path.join(directory, file);
+            const unchanged = fs.existsSync(target) && md5File(target) === md5File(path.join(buildDir, file));
+            (unchanged ? result.skipped : result.uploaded).push(file);
+        });
+
+        if (deleteExtraneous) {
+            result.deleted = listFiles(directory).filter(file => !files.includes(file));
+        }
+
+        if (!dryRun) {
+            result.uploaded.forEach(file => copyFile(path.join(buildDir, file), path.join(directory, file)));
+            result.deleted.forEach(file => fs.rmSync(path.join(directory, file), { force: true }));
+        }
+
+        logResult(directory, result, dryRun);
+        return result;
+    }
+}
+
+// RFC 3986 encoding as required by AWS Signature Version 4
+function encodeRFC3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function decodeXML(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Uploads changed files to an S3-compatible bucket (AWS S3, MinIO, ...)
+class S3Target {
+    constructor(options) {
+        this.options = {
+            region: 'us-east-1',
+            prefix: '',
+            forcePathStyle: true,
+            delete: true,
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            ...options
+        };
+    }
+
+    // URL of an object (or of the bucket when key is empty)
+    objectURL(key = '', query = {}) {
+        const { endpoint, bucket, forcePathStyle } = this.options;
+        const url = new URL(endpoint);
+        const encodedKey = key.split('/').map(encodeRFC3986).join('/');
+
+        if (forcePathStyle) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${bucket}/${encodedKey}`;
+        } else {
+            url.hostname = `${bucket}.${url.hostname}`;
+            url.pathname = `/${encodedKey}`;
+        }
+
+        url.search = Object.keys(query).sort()
+            .map(name => `${encodeRFC3986(name)}=${encodeRFC3986(query[name])}`)
+            .join('&');
+        return url;
+    }
+
+    // Sign a request with AWS Signature Version 4
+    sign(method, url, headers, payloadHash) {
+        const { region, accessKeyId, secretAccessKey } = this.options;
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+        const signedHeaders = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const headerNames = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+        const lowerCased = Object.fromEntries(
+            Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+        );
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            url.search.replace(/^\?/, ''),
+            headerNames.map(name => `${name}:${lowerCased[name]}\n`).join(''),
+            headerNames.join(';'),
+            payloadHash
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (key, value) => hmac(key, value),
+            hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+        );
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            ...signedHeaders,
+            authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+        };
+    }
+
+    request(method, url, body = Buffer.alloc(0), headers = {}) {
+        const signed = this.sign(method, url, { ...headers, 'content-length': body.length }, sha256Hex(body));
+        const client = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, { method, headers: signed }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const responseBody = Buffer.concat(chunks).toString('utf8');
+                    if (res.statusCode >= 300) {
+                        reject(new Error(`S3 ${method} ${url.pathname} failed with ${res.statusCode}: ${responseBody}`));
+                    } else {
+                        resolve(responseBody);
+                    }
+                });
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    // Existing objects under the prefix, mapped to their ETag (MD5 for single-part uploads)
+    async listObjects() {
+        const objects = new Map();
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: this.options.prefix };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const xml = await this.request('GET', this.objectURL('', query));
+            const contents = xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || [];
+            contents.forEach(item => {
+                const key = decodeXML(/<Key>([\s\S]*?)<\/Key>/.exec(item)[1]);
+                const etag = decodeXML((/<ETag>([\s\S]*?)<\/ETag>/.exec(item) || [])[1] || '').replace(/"/g, '');
+                objects.set(key, etag);
+            });
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+            const token = /<NextContinuationToken>([\s\S]*?)<\/NextContinuationToken>/.exec(xml);
+            continuationToken = truncated && token ? decodeXML(token[1]) : null;
+        } while (continuationToken);
+
+        return objects;
+    }
+
+    async deploy({ buildDir, dryRun }) {
+        const { endpoint, bucket, prefix } = this.options;
+        console.log(`🚀 Uploading ${buildDir}/ to s3://${bucket}/${prefix} at ${endpoint}${dryRun ? ' [dry run]' : ''}...`);
+
+        const files = listFiles(buildDir);
+        const existing = await this.listObjects();
+        const result = { uploaded: [], skipped: [], deleted: [] };
+
+        files.forEach(file => {
+            const unchanged = existing.get(`${prefix}${file}`) === md5File(path.join(buildDir, file));
+            (unchanged ? result.skipped : result.uploaded).push(file);
+        });
+
+        if (this.options.delete) {
+            result.deleted = Array.from(existing.keys())
+                .map(key => key.slice(prefix.length))
+                .filter(file => !files.includes(file));
+        }
+
+        if (!dryRun) {
+            for (const file of result.uploaded) {
+                const body = fs.readFileSync(path.join(buildDir, file));
+                await this.request('PUT', this.objectURL(`${prefix}${file}`), body, {
+                    'content-type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+                });
+            }
+            for (const file of result.deleted) {
+                await this.request('DELETE', this.objectURL(`${prefix}${file}`));
+            }
+        }
+
+        logResult(`s3://${bucket}/${prefix}`, result, dryRun);
+        return result;
+    }
+}
+
+const targets = {
+    'github-pages': GitPagesTarget,
+    local: LocalDirectoryTarget,
+    sync: SyncTarget,
+    s3: S3Target
+};
+
+// Instantiate the target named in the deploy config
+function createTarget(deployConfig) {
+    const name = deployConfig.target;
+    const Target = targets[name];
+    if (!Target) {
+        throw new Error(`Unknown deploy target "${name}". Available targets: ${Object.keys(targets).join(', ')}`);
+    }
+
+    const options = name === 'github-pages'
+        ? {
+            remote: deployConfig.remote,
+            branch: deployConfig.branch,
+            commitAuthor: deployConfig.commitAuthor,
+            siteUrl: deployConfig.siteUrl
+        }
+        : deployConfig.targets[name];
+    return new Target(options);
+}
+
+module.exports = { createTarget, listFiles, CONTENT_TYPES, GitPagesTarget, LocalDirectoryTarget, SyncTarget, S3Target };
@@ -1,72 +1,186 @@
 // Image Optimization Script
-// Note: This is a simulation. In production, use actual image optimization tools.
+// analyze() estimates savings from file sizes; optimize() re-encodes images with sharp
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { loadConfig, getPositionalArgs } = require('./config-loader');
+const { escapeHTML } = require('./template');
+const { parseSize } = require('./budgets');
+
+// Source formats optimize() can decode and re-encode (animated GIFs are left alone)
+const ENCODABLE_FORMATS = {
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.png': 'png',
+    '.webp': 'webp'
+};
+const FORMAT_EXTENSIONS = {
+    jpeg: '.jpg',
+    png: '.png',
+    webp: '.webp',
+    avif: '.avif'
+};
+// Browsers use the first <source> they support, so the smallest formats go first
+const FORMAT_PREFERENCE = ['avif', 'webp', 'png', 'jpeg'];
+const MODERN_EXTENSIONS = ['.webp', '.avif'];
+const MANIFEST_FILE = 'images.json';
+
+// Project-relative path with forward slashes, used as the image manifest key
+function toImageKey(filePath) {
+    return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
+
+// "*" matches within a path segment, "**" across segments
+function globToRegExp(pattern) {
+    const source = pattern.replace(/\/$/, '')
+        .split(/(\*\*|\*|\?)/)
+        .map(part => {
+            if (part === '**') return '.*';
+            if (part === '*') return '[^/]*';
+            if (part === '?') return '[^/]';
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
 
 class ImageOptimizer {
-    constructor() {
-        this.imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+    constructor(options = {}) {
+        this.imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif'];
         this.optimizedSizes = {
             thumbnail: { width: 300, height: 200 },
             medium: { width: 600, height: 400 },
             large: { width: 1200, height: 800 }
         };
+        
+        // Settings come from build.images in portfolio.config.json
+        const { build } = loadConfig();
+        this.options = {
+            outputDir: path.join(build.outputDir, 'images'),
+            force: false,
+            ...build.images,
+            ...options
+        };
+        this.ignorePatterns = this.options.ignore.map(pattern => ({
+            regex: globToRegExp(pattern),
+            anchored: pattern.replace(/\/$/, '').includes('/')
+        }));
     }
 
-    // Scan directory for images
-    scanDirectory(dir) {
+    // Scan directory for images, skipping ignored paths
+    async scanDirectory(dir) {
         const images = [];
         
-        function scan(currentPath) {
-            const items = fs.readdirSync(currentPath);
+        const scan = async currentPath => {
+            const items = await fs.promises.readdir(currentPath, { withFileTypes: true });
             
-            items.forEach(item => {
-                const fullPath = path.join(currentPath, item);
-                const stat = fs.statSync(fullPath);
+            for (const item of items) {
+                const fullPath = path.join(currentPath, item.name);
+                if (this.isIgnored(path.relative(dir, fullPath))) {
+                    continue;
+                }
                 
-                if (stat.isDirectory()) {
-                    scan(fullPath);
-                } else if (this.isImageFile(item)) {
+                if (item.isDirectory()) {
+                    await scan(fullPath);
+                } else if (item.isFile() && this.isImageFile(item.name)) {
+                    const { size } = await fs.promises.stat(fullPath);
                     images.push({
                         path: fullPath,
-                        name: item,
-                        size: stat.size,
-                        extension: path.extname(item).toLowerCase()
+                        name: item.name,
+                        size,
+                        extension: path.extname(item.name).toLowerCase()
                     });
                 }
-            });
-        }
+            }
+        };
         
-        scan.call(this, dir);
+        await scan(dir);
         return images;
     }
 
+    // Patterns with a slash match the path from the scanned directory ("assets/raw/**"),
+    // others match any file or directory name ("node_modules", "*-original.png")
+    isIgnored(relativePath) {
+        const normalized = relativePath.split(path.sep).join('/');
+        const segments = normalized.split('/');
+        
+        return this.ignorePatterns.some(({ regex, anchored }) => (
+            anchored ? regex.test(normalized) : segments.some(segment => regex.test(segment))
+        ));
+    }
+
     isImageFile(filename) {
         const ext = path.extname(filename).toLowerCase();
         return this.imageExtensions.includes(ext);
     }
 
-    // Generate optimization report
+    // Generate optimization report, checking every image against the configured thresholds
     generateReport(images) {
         const totalSize = images.reduce((sum, img) => sum + img.size, 0);
         const totalImages = images.length;
+        const manifest = this.readManifest();
+        
+        const reportImages = images.map(img => ({
+            name: img.name,
+            path: toImageKey(img.path),
+            bytes: img.size,
+            width: img.width,
+            height: img.height,
+            originalSize: this.formatBytes(img.size),
+            suggestedOptimization: this.suggestOptimization(img),
+            violations: this.checkThresholds(img, images, manifest)
+        }));
         
-        const report = {
+        return {
             summary: {
                 totalImages,
+                totalBytes: totalSize,
                 totalSize: this.formatBytes(totalSize),
-                averageSize: this.formatBytes(totalSize / totalImages),
-                optimizationOpportunity: this.calculateOptimizationOpportunity(images)
+                averageSize: this.formatBytes(totalImages > 0 ? totalSize / totalImages : 0),
+                optimizationOpportunity: this.calculateOptimizationOpportunity(images, manifest),
+                violations: reportImages.reduce((sum, img) => sum + img.violations.length, 0)
             },
-            images: images.map(img => ({
-                name: img.name,
-                originalSize: this.formatBytes(img.size),
-                suggestedOptimization: this.suggestOptimization(img)
-            }))
+            thresholds: this.options.thresholds,
+            images: reportImages
         };
+    }
+
+    // Threshold violations of one image; a modern format counts if the image is WebP/AVIF,
+    // has a WebP/AVIF sibling with the same name, or has modern variants from optimize()
+    checkThresholds(image, images, manifest) {
+        const { maxBytes, maxWidth, maxHeight, requireModernFormat } = this.options.thresholds;
+        const violations = [];
         
-        return report;
+        if (image.error) {
+            violations.push(`could not be decoded: ${image.error}`);
+        }
+        if (maxBytes && image.size > parseSize(maxBytes)) {
+            violations.push(`${this.formatBytes(image.size)} exceeds the ${this.formatBytes(parseSize(maxBytes))} limit`);
+        }
+        if (maxWidth && image.width > maxWidth) {
+            violations.push(`${image.width}px wide exceeds the ${maxWidth}px limit`);
+        }
+        if (maxHeight && image.height > maxHeight) {
+            violations.push(`${image.height}px high exceeds the ${maxHeight}px limit`);
+        }
+        
+        if (requireModernFormat && !MODERN_EXTENSIONS.includes(image.extension)) {
+            const stem = image.path.slice(0, -image.extension.length);
+            const hasSibling = images.some(other =>
+                MODERN_EXTENSIONS.includes(other.extension) && other.path.slice(0, -other.extension.length) === stem
+            );
+            const entry = manifest[toImageKey(image.path)];
+            const hasVariants = Boolean(entry) && entry.variants.some(variant => MODERN_EXTENSIONS.includes(FORMAT_EXTENSIONS[variant.format]));
+            
+            if (!hasSibling && !hasVariants) {
+                violations.push('no WebP or AVIF version');
+            }
+        }
+        
+        return violations;
     }
 
     formatBytes(bytes, decimals = 2) {
@@ -81,16 +195,25 @@ class ImageOptimizer {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
     }
 
-    calculateOptimizationOpportunity(images) {
-        // Simulate optimization savings (30-70% reduction)
-        const potentialSavings = images.reduce((sum, img) => {
-            const savingsPercentage = 0.3 + Math.random() * 0.4; // 30-70%
-            return sum + (img.size * savingsPercentage);
+    formatChange(before, after) {
+        const percentage = before > 0 ? Math.round(((before - after) / before) * 100) : 0;
+        return percentage >= 0 ? `${percentage}% smaller` : `${-percentage}% larger`;
+    }
+
+    // Savings measured by optimize(); images it has not processed yet are not counted
+    calculateOptimizationOpportunity(images, manifest = this.readManifest()) {
+        const measured = images.filter(img => manifest[toImageKey(img.path)]);
+        const savedBytes = measured.reduce((sum, img) => {
+            const optimizedBytes = this.getOptimizedBytes(manifest[toImageKey(img.path)].variants);
+            return sum + Math.max(0, img.size - optimizedBytes);
         }, 0);
+        const measuredBytes = measured.reduce((sum, img) => sum + img.size, 0);
         
         return {
-            estimatedSavings: this.formatBytes(potentialSavings),
-            percentage: Math.round((potentialSavings / images.reduce((s, i) => s + i.size, 0)) * 100)
+            measuredImages: measured.length,
+            savedBytes,
+            estimatedSavings: this.formatBytes(savedBytes),
+            percentage: measuredBytes > 0 ? Math.round((savedBytes / measuredBytes) * 100) : 0
         };
     }
 
@@ -116,47 +239,422 @@ class ImageOptimizer {
         return suggestions;
     }
 
-    // Create responsive image markup
-    generateResponsiveImageMarkup(imagePath, altText) {
-        const baseName = path.basename(imagePath, path.extname(imagePath));
+    // AVIF needs a libvips built with an AV1 encoder
+    supportsAVIF() {
+        return Boolean(sharp.format.heif && sharp.format.heif.output.buffer);
+    }
+
+    // Formats written for each size: the source format plus the configured modern formats
+    getOutputFormats(sourceFormat) {
+        const formats = [sourceFormat, ...this.options.formats]
+            .filter(format => format !== 'avif' || this.supportsAVIF());
+        return Array.from(new Set(formats));
+    }
+
+    encode(pipeline, format) {
+        const quality = this.options.quality[format];
+        
+        switch (format) {
+            case 'jpeg':
+                return pipeline.jpeg({ quality, mozjpeg: true });
+            case 'png':
+                return pipeline.png({ compressionLevel: 9, adaptiveFiltering: true });
+            case 'webp':
+                return pipeline.webp({ quality });
+            case 'avif':
+                return pipeline.avif({ quality });
+            default:
+                throw new Error(`Unsupported output format: ${format}`);
+        }
+    }
+
+    // Intrinsic size as displayed, after applying the EXIF orientation
+    async getDimensions(imagePath) {
+        const metadata = await sharp(imagePath).metadata();
+        // Orientations 5-8 are stored rotated by 90 degrees
+        const rotated = metadata.orientation >= 5;
+        return {
+            width: rotated ? metadata.height : metadata.width,
+            height: rotated ? metadata.width : metadata.height
+        };
+    }
+
+    // Digest of the image content and every setting that affects its variants
+    getCacheKey(image) {
+        const settings = {
+            sizes: this.optimizedSizes,
+            formats: this.getOutputFormats(ENCODABLE_FORMATS[image.extension]),
+            quality: this.options.quality
+        };
         
-        return `
-        <picture>
-            <source 
-                srcset="images/${baseName}.webp" 
-                type="image/webp">
-            <source 
-                srcset="images/${baseName}.jpg" 
-                type="image/jpeg">
-            <img 
-                src="images/${baseName}.jpg" 
-                alt="${altText}"
-                loading="lazy"
-                width="1200"
-                height="800">
-        </picture>
-        `;
+        return crypto.createHash('sha256')
+            .update(fs.readFileSync(image.path))
+            .update(JSON.stringify(settings))
+            .digest('hex');
     }
 
-    // Run optimization analysis
-    analyze(dir = './') {
-        console.log('🔍 Scanning for images...\n');
+    // Result of an earlier run if the image and settings are unchanged and its variants still exist
+    getCachedResult(image, entry, hash, outputDir) {
+        if (!entry || entry.hash !== hash) {
+            return null;
+        }
         
-        const images = this.scanDirectory(dir);
+        const variants = entry.variants.map(variant => ({ ...variant, path: path.join(outputDir, variant.file) }));
+        if (!variants.every(variant => fs.existsSync(variant.path))) {
+            return null;
+        }
         
-        if (images.length === 0) {
-            console.log('No images found in directory:', dir);
-            return;
+        return this.toResult(image, entry, variants, hash);
+    }
+
+    // The largest variant in its smallest format is what a modern browser downloads
+    getOptimizedBytes(variants) {
+        const largestWidth = Math.max(...variants.map(variant => variant.width));
+        return Math.min(...variants
+            .filter(variant => variant.width === largestWidth)
+            .map(variant => variant.bytes));
+    }
+
+    toResult(image, { width, height }, variants, hash) {
+        const optimizedBytes = this.getOptimizedBytes(variants);
+        
+        return {
+            name: image.name,
+            path: image.path,
+            width,
+            height,
+            hash,
+            originalBytes: image.size,
+            optimizedBytes,
+            savedBytes: image.size - optimizedBytes,
+            variants
+        };
+    }
+
+    // Write every size/format variant of one image and return their real byte counts
+    async optimizeImage(image, sourceDir, outputDir, hash = this.getCacheKey(image)) {
+        const sourceFormat = ENCODABLE_FORMATS[image.extension];
+        const { width, height } = await this.getDimensions(image.path);
+        
+        const relativeDir = path.dirname(path.relative(sourceDir, image.path));
+        const baseName = path.basename(image.name, image.extension);
+        const variants = [];
+        let previousWidth = null;
+        
+        for (const [sizeName, box] of Object.entries(this.optimizedSizes)) {
+            // Fit inside the box without upscaling, keeping the aspect ratio
+            const scale = Math.min(1, box.width / width, box.height / height);
+            const variantWidth = Math.round(width * scale);
+            const variantHeight = Math.round(height * scale);
+            
+            // Small sources would produce the same variant for several sizes
+            if (variantWidth === previousWidth) {
+                continue;
+            }
+            previousWidth = variantWidth;
+            
+            for (const format of this.getOutputFormats(sourceFormat)) {
+                const outputPath = path.join(outputDir, relativeDir, `${baseName}-${sizeName}${FORMAT_EXTENSIONS[format]}`);
+                fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+                
+                const pipeline = sharp(image.path).rotate().resize(variantWidth, variantHeight);
+                const { size } = await this.encode(pipeline, format).toFile(outputPath);
+                
+                variants.push({
+                    size: sizeName,
+                    format,
+                    width: variantWidth,
+                    height: variantHeight,
+                    path: outputPath,
+                    file: path.relative(outputDir, outputPath).split(path.sep).join('/'),
+                    bytes: size
+                });
+            }
+        }
+        
+        return this.toResult(image, { width, height }, variants, hash);
+    }
+
+    // Run fn over items with at most `concurrency` in flight; sharp encodes off the main thread
+    async runPool(items, concurrency, fn) {
+        let next = 0;
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                await fn(items[index], index);
+            }
+        };
+        
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    }
+
+    // Re-encode and resize every JPEG/PNG/WebP image under dir into outputDir
+    async optimize(dir = this.options.sourceDir, outputDir = this.options.outputDir) {
+        console.log(`🖼️  Optimizing images in ${dir} into ${outputDir}...\n`);
+        
+        if (!fs.existsSync(dir)) {
+            throw new Error(`Image directory not found: ${dir}`);
+        }
+        
+        // Never treat earlier output as input
+        const resolvedOutput = path.resolve(outputDir);
+        const images = (await this.scanDirectory(dir)).filter(image =>
+            !path.resolve(image.path).startsWith(resolvedOutput + path.sep)
+        );
+        
+        return this.optimizeImages(images, dir, outputDir);
+    }
+
+    // Optimize scanned images; variants keep each image's path relative to sourceDir
+    async optimizeImages(images, sourceDir, outputDir) {
+        const encodable = images.filter(image => ENCODABLE_FORMATS[image.extension]);
+        const skipped = images.filter(image => !ENCODABLE_FORMATS[image.extension]);
+        
+        // Unchanged images (same content and settings) reuse the variants in the manifest
+        const manifest = this.options.force ? {} : this.readManifest(outputDir);
+        const concurrency = this.options.concurrency || os.cpus().length;
+        const optimized = [];
+        const failed = [];
+        let completed = 0;
+        let cachedImages = 0;
+        
+        await this.runPool(encodable, concurrency, async (image, index) => {
+            let cached = null;
+            let result = null;
+            try {
+                const hash = this.getCacheKey(image);
+                cached = this.getCachedResult(image, manifest[toImageKey(image.path)], hash, outputDir);
+                result = cached || await this.optimizeImage(image, sourceDir, outputDir, hash);
+                optimized[index] = result;
+            } catch (error) {
+                // One undecodable file must not stop the others
+                failed[index] = { name: image.name, path: image.path, originalBytes: image.size, error: error.message };
+            }
+            completed++;
+            
+            const progress = `[${completed}/${encodable.length}]`;
+            if (!result) {
+                console.log(`${progress} ❌ ${image.name}: ${failed[index].error}`);
+            } else if (cached) {
+                cachedImages++;
+                console.log(`${progress} ♻️  ${image.name}: unchanged, ${result.variants.length} variants reused`);
+            } else {
+                const change = this.formatChange(result.originalBytes, result.optimizedBytes);
+                console.log(`${progress} ✅ ${image.name} (${result.width}x${result.height}): ${this.formatBytes(result.originalBytes)} → ${this.formatBytes(result.optimizedBytes)} (${change}), ${result.variants.length} variants`);
+            }
+        });
+        
+        skipped.forEach(image => console.log(`⏭️  ${image.name}: format not re-encoded`));
+        
+        // Keep the input order, without the images that failed
+        const results = optimized.filter(Boolean);
+        const failures = failed.filter(Boolean);
+        this.writeManifest(outputDir, results);
+        
+        const originalBytes = results.reduce((sum, result) => sum + result.originalBytes, 0);
+        const optimizedBytes = results.reduce((sum, result) => sum + result.optimizedBytes, 0);
+        const summary = {
+            totalImages: results.length,
+            cachedImages,
+            skippedImages: skipped.length,
+            failedImages: failures.length,
+            originalBytes,
+            optimizedBytes,
+            savedBytes: originalBytes - optimizedBytes,
+            percentage: originalBytes > 0 ? Math.round(((originalBytes - optimizedBytes) / originalBytes) * 100) : 0,
+            variantBytes: results.reduce((sum, result) =>
+                sum + result.variants.reduce((total, variant) => total + variant.bytes, 0), 0)
+        };
+        
+        console.log('\n📊 Optimization Results');
+        console.log('======================');
+        console.log(`Images optimized: ${summary.totalImages} (${summary.cachedImages} unchanged since the last run)`);
+        console.log(`Before: ${this.formatBytes(summary.originalBytes)}`);
+        console.log(`After: ${this.formatBytes(summary.optimizedBytes)} (${this.formatChange(summary.originalBytes, summary.optimizedBytes)})`);
+        console.log(`Variants written: ${this.formatBytes(summary.variantBytes)} in ${outputDir}`);
+        if (failures.length > 0) {
+            console.log(`❌ Failed: ${failures.map(failure => failure.name).join(', ')}`);
+        }
+        
+        return { summary, images: results, failed: failures };
+    }
+
+    // Dimensions and variants of every optimized image, keyed by source path
+    readManifest(outputDir = this.options.outputDir) {
+        const manifestPath = path.join(outputDir, MANIFEST_FILE);
+        return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+    }
+
+    writeManifest(outputDir, results) {
+        const manifest = this.readManifest(outputDir);
+        
+        // Forget images whose source is gone
+        Object.keys(manifest)
+            .filter(key => !fs.existsSync(key))
+            .forEach(key => delete manifest[key]);
+        
+        results.forEach(({ path: imagePath, width, height, hash, variants }) => {
+            manifest[toImageKey(imagePath)] = {
+                hash,
+                width,
+                height,
+                variants: variants.map(({ size, format, width: variantWidth, height: variantHeight, file, bytes }) => (
+                    { size, format, width: variantWidth, height: variantHeight, file, bytes }
+                ))
+            };
+        });
+        
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    }
+
+    // src/srcset/sizes for an image and one <source> per modern format; baseUrl is where
+    // the variants are served from, relative to the page
+    getResponsiveImage(entry, { baseUrl = 'images', sizes = this.options.sizes } = {}) {
+        const url = variant => `${baseUrl.replace(/\/$/, '')}/${variant.file}`;
+        const srcset = variants => variants.map(variant => `${url(variant)} ${variant.width}w`).join(', ');
+        
+        // The source format comes first and is what browsers without <picture> support get
+        const fallbackFormat = entry.variants[0].format;
+        const fallback = entry.variants.filter(variant => variant.format === fallbackFormat);
+        const largest = fallback.reduce((max, variant) => (variant.width > max.width ? variant : max));
+        
+        const formats = Array.from(new Set(entry.variants.map(variant => variant.format)))
+            .filter(format => format !== fallbackFormat)
+            .sort((a, b) => FORMAT_PREFERENCE.indexOf(a) - FORMAT_PREFERENCE.indexOf(b));
+        
+        return {
+            src: url(largest),
+            srcset: srcset(fallback),
+            sizes,
+            // Variants keep the source aspect ratio, so the largest one reserves the right box
+            width: largest.width,
+            height: largest.height,
+            sources: formats.map(format => ({
+                type: `image/${format}`,
+                srcset: srcset(entry.variants.filter(variant => variant.format === format))
+            }))
+        };
+    }
+
+    // <picture> markup for a responsive image, with every attribute escaped
+    renderPicture(image, altText, { className = null, loading = 'lazy' } = {}) {
+        const attributes = values => Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([name, value]) => `${name}="${escapeHTML(value)}"`)
+            .join(' ');
+        
+        return [
+            '<picture>',
+            ...image.sources.map(source =>
+                `    <source ${attributes({ type: source.type, srcset: source.srcset, sizes: image.sizes })}>`
+            ),
+            `    <img ${attributes({
+                src: image.src,
+                srcset: image.srcset,
+                sizes: image.srcset ? image.sizes : null,
+                alt: altText,
+                class: className,
+                width: image.width,
+                height: image.height,
+                loading,
+                decoding: 'async'
+            })}>`,
+            '</picture>'
+        ].join('\n');
+    }
+
+    // Create responsive image markup from the variants optimize() wrote for an image,
+    // or from its intrinsic dimensions if it has not been optimized yet
+    async generateResponsiveImageMarkup(imagePath, altText, options = {}) {
+        const { outputDir = this.options.outputDir, baseUrl, sizes, ...renderOptions } = options;
+        const entry = this.readManifest(outputDir)[toImageKey(imagePath)];
+        
+        if (entry && entry.variants.length > 0) {
+            return this.renderPicture(this.getResponsiveImage(entry, { baseUrl, sizes }), altText, renderOptions);
+        }
+        
+        const { width, height } = await this.getDimensions(imagePath);
+        return this.renderPicture({
+            src: toImageKey(imagePath),
+            srcset: null,
+            sizes: null,
+            width,
+            height,
+            sources: []
+        }, altText, renderOptions);
+    }
+
+    // Markdown report, e.g. for a pull request comment
+    formatReportMarkdown(report) {
+        const { summary } = report;
+        const lines = [
+            '## Image Report',
+            '',
+            `**Images:** ${summary.totalImages}, ${summary.totalSize} (average ${summary.averageSize})  `,
+            `**Measured savings:** ${summary.optimizationOpportunity.estimatedSavings} (${summary.optimizationOpportunity.percentage}%) across ${summary.optimizationOpportunity.measuredImages} optimized image(s)`,
+            ''
+        ];
+        
+        if (report.images.length > 0) {
+            lines.push('| Image | Size | Dimensions | Threshold violations |', '|-------|------|------------|----------------------|');
+            report.images.forEach(img => {
+                const dimensions = img.width ? `${img.width}x${img.height}` : '-';
+                const violations = img.violations.length > 0 ? img.violations.join('; ') : '-';
+                lines.push(`| ${img.path} | ${img.originalSize} | ${dimensions} | ${violations} |`);
+            });
+            lines.push('');
+        }
+        
+        lines.push(summary.violations > 0
+            ? `❌ ${summary.violations} threshold violation(s)`
+            : '✅ All images are within the thresholds');
+        
+        return lines.join('\n') + '\n';
+    }
+
+    // Run optimization analysis; format is 'text', 'json' or 'markdown'
+    async analyze(dir = './', { format = 'text' } = {}) {
+        const text = format === 'text';
+        if (text) {
+            console.log('🔍 Scanning for images...\n');
+        }
+        
+        const images = await this.scanDirectory(dir);
+        
+        // Dimensions are needed for the max width/height thresholds
+        for (const image of images) {
+            try {
+                Object.assign(image, await this.getDimensions(image.path));
+            } catch (error) {
+                image.width = null;
+                image.height = null;
+                image.error = error.message;
+            }
         }
         
         const report = this.generateReport(images);
         
+        if (format === 'json') {
+            console.log(JSON.stringify(report, null, 2));
+            return report;
+        }
+        if (format === 'markdown') {
+            console.log(this.formatReportMarkdown(report));
+            return report;
+        }
+        
+        if (images.length === 0) {
+            console.log('No images found in directory:', dir);
+            return report;
+        }
+        
         console.log('📊 Image Optimization Report');
         console.log('============================');
         console.log(`Total Images: ${report.summary.totalImages}`);
         console.log(`Total Size: ${report.summary.totalSize}`);
         console.log(`Average Size: ${report.summary.averageSize}`);
-        console.log(`Optimization Opportunity: ${report.summary.optimizationOpportunity.estimatedSavings} (${report.summary.optimizationOpportunity.percentage}%)`);
+        console.log(`Optimization Opportunity: ${report.summary.optimizationOpportunity.estimatedSavings} (${report.summary.optimizationOpportunity.percentage}%) measured on ${report.summary.optimizationOpportunity.measuredImages} optimized image(s)`);
         
         console.log('\n📋 Image Details:');
         console.log('================');
@@ -167,6 +665,9 @@ class ImageOptimizer {
             img.suggestedOptimization.forEach(suggestion => {
                 console.log(`     - ${suggestion}`);
             });
+            img.violations.forEach(violation => {
+                console.log(`   ❌ ${violation}`);
+            });
         });
         
         console.log('\n💡 Optimization Tips:');
@@ -177,11 +678,16 @@ class ImageOptimizer {
         console.log('4. Use srcset for responsive images');
         console.log('5. Compress images before uploading');
         
-        // Generate HTML snippet for responsive images
-        console.log('\n🖼️ Responsive Image HTML Snippet:');
-        console.log('===============================');
-        if (images.length > 0) {
-            console.log(this.generateResponsiveImageMarkup(images[0].path, 'Example image description'));
+        // Generate HTML snippet for responsive images, from the first image that could be decoded
+        const example = images.find(image => !image.error);
+        if (example) {
+            console.log('\n🖼️ Responsive Image HTML Snippet:');
+            console.log('===============================');
+            console.log(await this.generateResponsiveImageMarkup(example.path, 'Example image description'));
+        }
+        
+        if (report.summary.violations > 0) {
+            console.log(`\n❌ ${report.summary.violations} image threshold violation(s)`);
         }
         
         return report;
@@ -192,9 +698,73 @@ class ImageOptimizer {
 if (require.main === module) {
     const optimizer = new ImageOptimizer();
     
-    // Get directory from command line or use current directory
-    const targetDir = process.argv[2] || '.';
-    optimizer.analyze(targetDir);
+    // Re-encode every image even if its cached variants are up to date
+    if (process.argv.includes('--force')) {
+        optimizer.options.force = true;
+    }
+    
+    // --<name>=<value> flag, or undefined
+    const flag = name => {
+        const arg = process.argv.find(item => item.startsWith(`--${name}=`));
+        return arg ? arg.slice(name.length + 3) : undefined;
+    };
+    
+    if (flag('concurrency')) {
+        optimizer.options.concurrency = parseInt(flag('concurrency'), 10);
+    }
+    
+    // Thresholds from the command line override build.images.thresholds
+    const thresholds = { ...optimizer.options.thresholds };
+    if (flag('max-bytes')) {
+        thresholds.maxBytes = flag('max-bytes');
+    }
+    if (flag('max-width')) {
+        thresholds.maxWidth = parseInt(flag('max-width'), 10);
+    }
+    if (flag('max-height')) {
+        thresholds.maxHeight = parseInt(flag('max-height'), 10);
+    }
+    if (process.argv.includes('--require-modern-format')) {
+        thresholds.requireModernFormat = true;
+    }
+    optimizer.options.thresholds = thresholds;
+    
+    let format = 'text';
+    if (process.argv.includes('--json')) {
+        format = 'json';
+    } else if (process.argv.includes('--markdown')) {
+        format = 'markdown';
+    }
+    
+    // `optimize [dir]` writes optimized variants; otherwise analyze a directory
+    const args = getPositionalArgs();
+    
+    if (args[0] === 'optimize') {
+        optimizer.optimize(args[1])
+            .then(({ summary }) => {
+                if (summary.failedImages > 0) {
+                    process.exitCode = 1;
+                }
+            })
+            .catch(error => {
+                console.error('❌ Image optimization failed:', error.message);
+                process.exit(1);
+            });
+    } else {
+        // Get directory from command line or use current directory
+        const targetDir = args[0] || '.';
+        optimizer.analyze(targetDir, { format })
+            .then(report => {
+                // Fail CI when an image breaks a threshold
+                if (report.summary.violations > 0) {
+                    process.exitCode = 1;
+                }
+            })
+            .catch(error => {
+                console.error('❌ Image analysis failed:', error.message);
+                process.exit(1);
+            });
+    }
 }
 
 module.exports = ImageOptimizer;
\ No newline at end of file
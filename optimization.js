@@ -1,9 +1,15 @@
 // Performance Optimization Module
-class PortfolioOptimizer {
+import { getWebVitals, getNavigationEntry, formatVital } from './web-vitals.js';
+
+// Resources taking longer than this to load are reported
+export const SLOW_RESOURCE_MS = 1000;
+
+export class PortfolioOptimizer {
     constructor() {
+        this.vitals = getWebVitals();
         this.initLazyLoading();
         this.initResourceMonitoring();
-        this.initCriticalCSS();
+        this.initVitalsMonitoring();
     }
 
     // Lazy Loading for Images
@@ -35,7 +41,7 @@ class PortfolioOptimizer {
         if ('performance' in window) {
             window.addEventListener('load', () => {
                 const resources = performance.getEntriesByType('resource');
-                const slowResources = resources.filter(r => r.duration > 1000);
+                const slowResources = resources.filter(r => r.duration > SLOW_RESOURCE_MS);
                 
                 if (slowResources.length > 0) {
                     console.warn('Slow resources detected:', slowResources);
@@ -45,37 +51,33 @@ class PortfolioOptimizer {
         }
     }
 
-    // Extract Critical CSS (simulated)
-    initCriticalCSS() {
-        // In a real application, you would extract above-the-fold CSS
-        // This is a simplified version
-        const criticalStyles = `
-            .hero, .nav-container, .section-title {
-                opacity: 0;
-                animation: fadeIn 0.5s ease forwards;
-            }
-            
-            @keyframes fadeIn {
-                to { opacity: 1; }
+    // Warn once per metric when a Core Web Vital is rated poor
+    initVitalsMonitoring() {
+        const warned = new Set();
+        
+        this.vitals.onChange(metric => {
+            if (metric.rating === 'poor' && !warned.has(metric.name)) {
+                warned.add(metric.name);
+                console.warn(`Poor ${metric.name}: ${formatVital(metric.name, metric.value)}`);
             }
-        `;
-
-        const style = document.createElement('style');
-        style.textContent = criticalStyles;
-        document.head.appendChild(style);
+        });
     }
 
     // Log Performance Metrics
     logPerformanceMetrics() {
-        if ('performance' in window) {
-            const timing = performance.timing;
+        const navigation = getNavigationEntry();
+        if (navigation) {
             const metrics = {
-                dnsLookup: timing.domainLookupEnd - timing.domainLookupStart,
-                tcpConnect: timing.connectEnd - timing.connectStart,
-                serverResponse: timing.responseEnd - timing.requestStart,
-                domContentLoaded: timing.domContentLoadedEventEnd - timing.navigationStart,
-                fullLoad: timing.loadEventEnd - timing.navigationStart
+                dnsLookup: navigation.domainLookupEnd - navigation.domainLookupStart,
+                tcpConnect: navigation.connectEnd - navigation.connectStart,
+                serverResponse: navigation.responseEnd - navigation.requestStart,
+                domContentLoaded: navigation.domContentLoadedEventEnd,
+                fullLoad: navigation.loadEventEnd
             };
+            
+            Object.values(this.vitals.getMetrics()).forEach(vital => {
+                metrics[vital.name] = vital.value;
+            });
 
             console.table(metrics);
             return metrics;
@@ -128,13 +130,8 @@ class PortfolioOptimizer {
     }
 }
 
-// Initialize optimizer when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.portfolioOptimizer = new PortfolioOptimizer();
-});
-
 // Utility function to measure execution time
-function measureExecutionTime(fn, label = 'Function') {
+export function measureExecutionTime(fn, label = 'Function') {
     const start = performance.now();
     const result = fn();
     const end = performance.now();
@@ -143,7 +140,7 @@ function measureExecutionTime(fn, label = 'Function') {
 }
 
 // Debounce function for performance optimization
-function debounce(func, wait) {
+export function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
         const later = () => {
@@ -156,7 +153,7 @@ function debounce(func, wait) {
 }
 
 // Throttle function for performance optimization
-function throttle(func, limit) {
+export function throttle(func, limit) {
     let inThrottle;
     return function() {
         const args = arguments;
@@ -170,7 +167,7 @@ function throttle(func, limit) {
 }
 
 // Cache expensive calculations
-function memoize(fn) {
+export function memoize(fn) {
     const cache = new Map();
     return function(...args) {
         const key = JSON.stringify(args);
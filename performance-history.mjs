@@ -0,0 +1,144 @@
+// Performance Report History
+// Shared by the footer panel (kept in localStorage) and performance-runner.js (kept as JSON files);
+// the .mjs extension lets Node import it as an ES module without a build step
+
+export const HISTORY_CATEGORIES = ['overall', 'performance', 'accessibility', 'bestPractices', 'seo'];
+export const HISTORY_VITALS = ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'];
+// Score drops smaller than this are treated as noise between runs
+export const REGRESSION_THRESHOLD = 5;
+
+const STORAGE_KEY = 'performanceHistory';
+const MAX_ENTRIES = 50;
+const RATING_ORDER = ['good', 'needs-improvement', 'poor'];
+const SPARK_CHARACTERS = '▁▂▃▄▅▆▇█';
+
+// What a run keeps: scores and vitals, without the full metrics
+export function toHistoryEntry(report) {
+    const webVitals = {};
+    Object.values(report.webVitals || {}).forEach(vital => {
+        webVitals[vital.name] = { value: vital.value, rating: vital.rating };
+    });
+
+    return {
+        timestamp: report.timestamp,
+        url: report.url,
+        scores: { ...report.scores },
+        webVitals
+    };
+}
+
+// Score and vital changes from one run to another; a score drop of at least threshold points,
+// or a vital whose rating gets worse, is a regression
+export function compareRuns(before, after, threshold = REGRESSION_THRESHOLD) {
+    const scores = HISTORY_CATEGORIES.map(category => {
+        const delta = after.scores[category] - before.scores[category];
+        return {
+            category,
+            before: before.scores[category],
+            after: after.scores[category],
+            delta,
+            regression: delta <= -threshold,
+            improvement: delta >= threshold
+        };
+    });
+
+    const vitals = HISTORY_VITALS
+        .filter(name => before.webVitals[name] && after.webVitals[name])
+        .map(name => {
+            const change = RATING_ORDER.indexOf(after.webVitals[name].rating) - RATING_ORDER.indexOf(before.webVitals[name].rating);
+            return {
+                name,
+                before: before.webVitals[name],
+                after: after.webVitals[name],
+                regression: change > 0,
+                improvement: change < 0
+            };
+        });
+
+    return {
+        scores,
+        vitals,
+        regressions: [...scores, ...vitals].filter(change => change.regression)
+    };
+}
+
+// Per-category scores over the history (oldest first)
+export function getTrends(history) {
+    return HISTORY_CATEGORIES.map(category => {
+        const values = history.map(entry => entry.scores[category]);
+        return {
+            category,
+            values,
+            latest: values[values.length - 1],
+            change: values.length > 0 ? values[values.length - 1] - values[0] : 0,
+            best: values.length > 0 ? Math.max(...values) : null,
+            worst: values.length > 0 ? Math.min(...values) : null
+        };
+    });
+}
+
+// One block character per score, scaled between the lowest and highest value, e.g. "▁▅▅█"
+export function sparkline(values) {
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min;
+    const top = SPARK_CHARACTERS.length - 1;
+
+    return values
+        .map(value => SPARK_CHARACTERS[range === 0 ? Math.floor(top / 2) : Math.round(((value - min) / range) * top)])
+        .join('');
+}
+
+// Signed score change, e.g. "+3", "0" or "-5"
+export function formatDelta(delta) {
+    return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per run: scores, then vital values (empty when not measured)
+export function toCSV(history) {
+    const header = ['timestamp', 'url', ...HISTORY_CATEGORIES, ...HISTORY_VITALS];
+    const rows = history.map(entry => [
+        entry.timestamp,
+        entry.url,
+        ...HISTORY_CATEGORIES.map(category => entry.scores[category]),
+        ...HISTORY_VITALS.map(name => (entry.webVitals[name] ? entry.webVitals[name].value : null))
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Browser history, newest last, capped at maxEntries runs
+export class LocalHistoryStore {
+    constructor({ storage = window.localStorage, key = STORAGE_KEY, maxEntries = MAX_ENTRIES } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.maxEntries = maxEntries;
+    }
+
+    load() {
+        try {
+            const history = JSON.parse(this.storage.getItem(this.key));
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    add(report) {
+        const history = [...this.load(), toHistoryEntry(report)].slice(-this.maxEntries);
+        try {
+            this.storage.setItem(this.key, JSON.stringify(history));
+        } catch (error) {
+            // Storage full or disabled (private browsing); the run is still shown
+        }
+        return history;
+    }
+
+    clear() {
+        this.storage.removeItem(this.key);
+    }
+}
@@ -0,0 +1,208 @@
+// Performance Panels
+// Renders PerformanceTester reports and the saved-run history in the footer. script.js loads this
+// module (and performance-test.js) on first use, so neither is part of the initial bundle
+import { formatVital } from './web-vitals.js';
+import { LocalHistoryStore, compareRuns, formatDelta, getTrends, sparkline, toCSV } from './performance-history.mjs';
+
+const PERFORMANCE_CATEGORIES = {
+    performance: 'Performance',
+    accessibility: 'Accessibility',
+    bestPractices: 'Best Practices',
+    seo: 'SEO'
+};
+
+const AUDIT_NAMES = {
+    imageOptimization: 'Image sizes',
+    cssSize: 'CSS size',
+    jsSize: 'JavaScript size',
+    fontLoading: 'Font loading',
+    webVitals: 'Core Web Vitals',
+    https: 'HTTPS',
+    consoleErrors: 'Console errors',
+    deprecatedAPI: 'Deprecated elements',
+    altTags: 'Image alt text',
+    ariaLabels: 'Accessible names',
+    colorContrast: 'Color contrast',
+    metaTags: 'Meta tags',
+    headingStructure: 'Heading structure',
+    semanticHTML: 'Semantic HTML'
+};
+
+// Runs saved in this browser
+const store = new LocalHistoryStore();
+
+// Audit results contain URLs and element names, so they are escaped before rendering
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Vitals use the web.dev rating names
+const VITAL_RATINGS = {
+    good: 'good',
+    'needs-improvement': 'average',
+    poor: 'poor'
+};
+
+function getScoreRating(score) {
+    if (score >= 90) return 'good';
+    if (score >= 50) return 'average';
+    return 'poor';
+}
+
+// Category scores, every audit with its issues in an expandable <details>, and the recommendations
+export function renderPerformanceResults(container, report) {
+    const categories = Object.keys(PERFORMANCE_CATEGORIES);
+    
+    const scores = categories.map(category => {
+        const score = report.scores[category];
+        return `
+            <div class="performance-category ${getScoreRating(score)}">
+                <span class="performance-category-score">${score}</span>
+                <span class="performance-category-name">${PERFORMANCE_CATEGORIES[category]}</span>
+            </div>
+        `;
+    }).join('');
+    
+    const vitals = Object.values(report.webVitals).map(vital => `
+        <div class="performance-vital ${VITAL_RATINGS[vital.rating]}" title="${vital.rating}">
+            <span class="performance-vital-name">${vital.name}</span>
+            <span class="performance-vital-value">${formatVital(vital.name, vital.value)}</span>
+        </div>
+    `).join('');
+    
+    const audits = categories.map(category => {
+        const items = Object.entries(report.metrics.audit[category]).map(([name, result]) => {
+            const issues = result.issues.length > 0
+                ? `<ul>${result.issues.map(issue => `<li>${escapeHTML(issue)}</li>`).join('')}</ul>`
+                : '<p>No issues found</p>';
+            
+            return `
+                <details class="performance-audit ${getScoreRating(result.score)}">
+                    <summary>
+                        <span>${AUDIT_NAMES[name] || name}${result.issues.length > 0 ? ` (${result.issues.length})` : ''}</span>
+                        <span class="performance-audit-score">${result.score}</span>
+                    </summary>
+                    ${issues}
+                </details>
+            `;
+        }).join('');
+        
+        return `<div class="performance-audit-group"><p class="performance-audit-title">${PERFORMANCE_CATEGORIES[category]}</p>${items}</div>`;
+    }).join('');
+    
+    const recommendations = report.recommendations.length > 0
+        ? `<ol>${report.recommendations.map(rec => `<li>${escapeHTML(rec)}</li>`).join('')}</ol>`
+        : '<p>No recommendations - every audit passed.</p>';
+    
+    container.innerHTML = `
+        <div class="performance-categories">${scores}</div>
+        ${vitals ? `<div class="performance-vitals">${vitals}</div>` : ''}
+        ${audits}
+        <div class="performance-recommendations">
+            <p class="performance-audit-title">Recommendations</p>
+            ${recommendations}
+        </div>
+    `;
+    container.hidden = false;
+}
+
+// History also tracks the overall score, which has no category card
+function getCategoryName(category) {
+    return category === 'overall' ? 'Overall' : PERFORMANCE_CATEGORIES[category];
+}
+
+function formatRunLabel(entry, index) {
+    return `#${index + 1} - ${new Date(entry.timestamp).toLocaleString()}`;
+}
+
+function getChangeRating(change) {
+    if (change.regression) return 'poor';
+    if (change.improvement) return 'good';
+    return '';
+}
+
+export function saveToHistory(report) {
+    store.add(report);
+}
+
+export function clearHistory() {
+    store.clear();
+}
+
+// Score trends of every saved run, plus a comparison of two runs (the last two unless others are selected)
+export function renderPerformanceHistory(container, { keepSelection = false } = {}) {
+    const entries = store.load();
+    if (entries.length === 0) {
+        container.innerHTML = '<p>No saved runs yet - run the performance test to start a history.</p>';
+        return;
+    }
+    
+    const trends = getTrends(entries).map(trend => `
+        <tr>
+            <td>${getCategoryName(trend.category)}</td>
+            <td class="performance-sparkline" aria-label="${trend.values.join(', ')}">${sparkline(trend.values)}</td>
+            <td class="${getScoreRating(trend.latest)}"><span class="performance-history-score">${trend.latest}</span></td>
+            <td>${formatDelta(trend.change)}</td>
+        </tr>
+    `).join('');
+    
+    const beforeSelect = container.querySelector('#history-before');
+    const afterSelect = container.querySelector('#history-after');
+    const beforeIndex = keepSelection && beforeSelect ? Number(beforeSelect.value) : Math.max(0, entries.length - 2);
+    const afterIndex = keepSelection && afterSelect ? Number(afterSelect.value) : entries.length - 1;
+    
+    const options = chosen => entries.map((entry, index) =>
+        `<option value="${index}"${index === chosen ? ' selected' : ''}>${escapeHTML(formatRunLabel(entry, index))}</option>`
+    ).join('');
+    
+    const comparison = compareRuns(entries[beforeIndex], entries[afterIndex]);
+    const scoreChanges = comparison.scores.map(change => `
+        <li class="${getChangeRating(change)}">
+            ${getCategoryName(change.category)}:
+            ${change.before} → ${change.after} <span class="performance-history-change">(${formatDelta(change.delta)})</span>
+        </li>
+    `).join('');
+    const vitalChanges = comparison.vitals.map(change => `
+        <li class="${getChangeRating(change)}">
+            ${change.name}: ${formatVital(change.name, change.before.value)} → ${formatVital(change.name, change.after.value)}
+            <span class="performance-history-change">(${change.after.rating})</span>
+        </li>
+    `).join('');
+    const summary = comparison.regressions.length > 0
+        ? `<p class="poor"><span class="performance-history-change">${comparison.regressions.length} regression(s) between these runs</span></p>`
+        : '<p>No regressions between these runs.</p>';
+    
+    container.innerHTML = `
+        <p class="performance-audit-title">Score trends (${entries.length} run${entries.length === 1 ? '' : 's'})</p>
+        <table class="performance-history-table">
+            <thead><tr><th>Category</th><th>Trend</th><th>Latest</th><th>Change</th></tr></thead>
+            <tbody>${trends}</tbody>
+        </table>
+        <p class="performance-audit-title">Compare runs</p>
+        <div class="performance-history-compare">
+            <label>From <select id="history-before" class="performance-history-select">${options(beforeIndex)}</select></label>
+            <label>To <select id="history-after" class="performance-history-select">${options(afterIndex)}</select></label>
+        </div>
+        ${summary}
+        <ul class="performance-history-changes">${scoreChanges}${vitalChanges}</ul>
+        <button type="button" class="small-btn" data-action="export">Export CSV</button>
+        <button type="button" class="small-btn" data-action="clear">Clear history</button>
+    `;
+}
+
+// Download every saved run as a CSV file
+export function exportHistory() {
+    const url = URL.createObjectURL(new Blob([toCSV(store.load())], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `performance-history-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,356 @@
+// Headless Performance Runner
+// Loads the built site into jsdom from a local static server and runs PerformanceTester's audit on it;
+// every report is saved to historyDir so runs can be compared over time
+const fs = require('fs');
+const path = require('path');
+const { rollup } = require('rollup');
+const { JSDOM, VirtualConsole, ResourceLoader } = require('jsdom');
+const { loadConfig, getPositionalArgs } = require('./config-loader');
+const { serveDirectory } = require('./smoke-test');
+
+// performance-history.mjs is shared with the browser bundle, so it is an ES module
+const loadHistoryModule = () => import('./performance-history.mjs');
+
+// Only same-origin stylesheets and scripts are loaded; third-party fonts and CDNs don't affect the audit
+class SameOriginLoader extends ResourceLoader {
+    constructor(origin) {
+        super();
+        this.origin = origin;
+    }
+
+    fetch(url, options) {
+        return new URL(url).origin === this.origin ? super.fetch(url, options) : null;
+    }
+}
+
+// Browser APIs the page uses that jsdom doesn't implement. Without layout every element
+// counts as visible, which is what lazy-loading and reveal animations need to run
+function installBrowserAPIs(window) {
+    if (!window.IntersectionObserver) {
+        window.IntersectionObserver = class {
+            constructor(callback) {
+                this.callback = callback;
+            }
+
+            observe(target) {
+                this.callback([{ target, isIntersecting: true, intersectionRatio: 1 }], this);
+            }
+
+            unobserve() {}
+
+            disconnect() {}
+        };
+    }
+
+    // No Resource Timing entries are recorded
+    if (typeof window.performance.getEntriesByType !== 'function') {
+        window.performance.getEntriesByType = () => [];
+    }
+
+    if (!window.matchMedia) {
+        window.matchMedia = query => ({
+            matches: false,
+            media: query,
+            addEventListener() {},
+            removeEventListener() {},
+            addListener() {},
+            removeListener() {}
+        });
+    }
+}
+
+// performance-test.js is an ES module; bundle it into a script that can run inside the page
+async function bundleTester() {
+    const bundle = await rollup({ input: path.join(__dirname, 'performance-test.js') });
+    try {
+        const { output } = await bundle.generate({ format: 'iife', name: 'PerformanceTesting' });
+        return output[0].code;
+    } finally {
+        await bundle.close();
+    }
+}
+
+function waitForLoad(window, timeout) {
+    if (window.document.readyState === 'complete') {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Page did not finish loading within ${timeout}ms`)), timeout);
+        window.addEventListener('load', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+}
+
+// Byte sizes of the page's same-origin stylesheets and scripts, by absolute URL
+async function measureResourceSizes(document, origin, timeout) {
+    const urls = Array.from(document.querySelectorAll('link[rel="stylesheet"][href], link[rel="preload"][as="style"][href], script[src]'))
+        .map(element => element.href || element.src)
+        .filter(url => new URL(url).origin === origin);
+    const sizes = {};
+
+    for (const url of urls) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+        sizes[url] = response.ok ? (await response.arrayBuffer()).byteLength : 0;
+    }
+
+    return sizes;
+}
+
+// Audit a page with the page's own scripts running; serves dir locally unless a url is given
+async function runPerformanceTest({ dir, url = null, timeout = 10000 } = {}) {
+    if (!url && !fs.existsSync(path.join(dir, 'index.html'))) {
+        throw new Error(`${path.join(dir, 'index.html')} not found; run npm run build first`);
+    }
+
+    const server = url ? null : await serveDirectory(dir);
+    const pageUrl = url || server.url;
+    const origin = new URL(pageUrl).origin;
+    const errors = [];
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+
+    let dom = null;
+    try {
+        dom = await JSDOM.fromURL(pageUrl, {
+            runScripts: 'dangerously',
+            resources: new SameOriginLoader(origin),
+            pretendToBeVisual: true,
+            virtualConsole,
+            beforeParse: installBrowserAPIs
+        });
+        await waitForLoad(dom.window, timeout);
+
+        const resourceSizes = await measureResourceSizes(dom.window.document, origin, timeout);
+        dom.window.eval(await bundleTester());
+
+        const tester = new dom.window.PerformanceTesting.PerformanceTester({ resourceSizes, errors });
+        await tester.runAudit();
+        return tester.generateReport();
+    } finally {
+        if (dom) {
+            dom.window.close();
+        }
+        if (server) {
+            await server.close();
+        }
+    }
+}
+
+// Categories scoring below their minimum; null thresholds are not checked
+function checkThresholds(report, thresholds) {
+    return Object.keys(report.scores)
+        .filter(category => thresholds[category] !== null && thresholds[category] !== undefined)
+        .filter(category => report.scores[category] < thresholds[category])
+        .map(category => ({ category, score: report.scores[category], minimum: thresholds[category] }));
+}
+
+// Saved reports, oldest first; file names are timestamps, so they sort by date
+function loadHistory(historyDir) {
+    if (!fs.existsSync(historyDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(historyDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .flatMap(file => {
+            try {
+                return [JSON.parse(fs.readFileSync(path.join(historyDir, file), 'utf8'))];
+            } catch (error) {
+                console.warn(`⚠️  Skipping unreadable report ${file}: ${error.message}`);
+                return [];
+            }
+        });
+}
+
+function saveReport(report, historyDir) {
+    fs.mkdirSync(historyDir, { recursive: true });
+    const file = path.join(historyDir, `${report.timestamp.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+    return file;
+}
+
+function printComparison(comparison, before, after, history) {
+    console.log(`🔁 ${before.timestamp} → ${after.timestamp}`);
+    comparison.scores.forEach(change => {
+        const icon = change.regression ? '🔻' : change.improvement ? '🔺' : '  ';
+        console.log(`   ${icon} ${change.category}: ${change.before} → ${change.after} (${history.formatDelta(change.delta)})`);
+    });
+    comparison.vitals.forEach(change => {
+        const icon = change.regression ? '🔻' : change.improvement ? '🔺' : '  ';
+        console.log(`   ${icon} ${change.name}: ${change.before.rating} → ${change.after.rating}`);
+    });
+
+    if (comparison.regressions.length > 0) {
+        console.log(`❌ ${comparison.regressions.length} regression(s)`);
+    } else {
+        console.log('✅ No regressions');
+    }
+}
+
+function printHistory(entries, history) {
+    console.log(`📈 Performance History (${entries.length} run(s))`);
+    console.log('==========================');
+    history.getTrends(entries).forEach(trend => {
+        console.log(`   ${trend.category.padEnd(14)} ${history.sparkline(trend.values)}  latest ${trend.latest}, best ${trend.best}, worst ${trend.worst} (${history.formatDelta(trend.change)})`);
+    });
+
+    console.log('\n🗂️  Runs:');
+    entries.forEach((entry, index) => {
+        console.log(`   ${index + 1}. ${entry.timestamp}  overall ${entry.scores.overall}  ${entry.url}`);
+    });
+}
+
+// Compare run a with run b (1-based, defaulting to the last two runs)
+function compareCommand(entries, history, [a = entries.length - 1, b = entries.length]) {
+    const before = entries[Number(a) - 1];
+    const after = entries[Number(b) - 1];
+    if (!before || !after) {
+        throw new Error(`Runs ${a} and ${b} must both be between 1 and ${entries.length}`);
+    }
+
+    const comparison = history.compareRuns(before, after);
+    printComparison(comparison, before, after, history);
+    return comparison;
+}
+
+function historyCommand(entries, history) {
+    const csvArg = process.argv.find(arg => arg === '--csv' || arg.startsWith('--csv='));
+    if (!csvArg) {
+        printHistory(entries, history);
+        return;
+    }
+
+    const csv = history.toCSV(entries);
+    if (csvArg === '--csv') {
+        process.stdout.write(csv);
+    } else {
+        const file = csvArg.slice('--csv='.length);
+        fs.writeFileSync(file, csv);
+        console.log(`✅ Exported ${entries.length} run(s) to ${file}`);
+    }
+}
+
+function printReport(report, failures) {
+    console.log('📊 Performance Test Results');
+    console.log('==========================');
+    console.log(`URL: ${report.url}`);
+    console.log(`Overall Score: ${report.scores.overall}/100`);
+    console.log(`Performance: ${report.scores.performance}/100`);
+    console.log(`Accessibility: ${report.scores.accessibility}/100`);
+    console.log(`Best Practices: ${report.scores.bestPractices}/100`);
+    console.log(`SEO: ${report.scores.seo}/100`);
+
+    console.log('\n🔍 Audits:');
+    Object.entries(report.metrics.audit).forEach(([category, audits]) => {
+        Object.entries(audits).forEach(([name, result]) => {
+            console.log(`   ${result.score >= 90 ? '✅' : '⚠️'} ${category}.${name}: ${result.score}`);
+            result.issues.forEach(issue => console.log(`      - ${issue}`));
+        });
+    });
+
+    if (report.recommendations.length > 0) {
+        console.log('\n💡 Recommendations:');
+        report.recommendations.forEach((rec, index) => {
+            console.log(`${index + 1}. ${rec}`);
+        });
+    }
+
+    console.log('');
+    failures.forEach(failure => {
+        console.log(`❌ ${failure.category} score ${failure.score} is below the minimum of ${failure.minimum}`);
+    });
+    if (failures.length === 0) {
+        console.log('✅ All scores meet their thresholds');
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const { build } = loadConfig();
+    const options = { ...build.performanceTest };
+    const thresholds = { ...options.thresholds };
+
+    const urlArg = process.argv.find(arg => arg.startsWith('--url='));
+    if (urlArg) {
+        options.url = urlArg.slice('--url='.length);
+    }
+
+    const args = getPositionalArgs();
+    const [command] = args;
+    const historyOnly = command === 'history' || command === 'compare';
+
+    // `history` and `compare` only read saved reports; anything else is the directory to test
+    const run = async () => {
+        const history = await loadHistoryModule();
+
+        // --min-<category>=<score>, e.g. --min-overall=90 or --min-best-practices=80
+        history.HISTORY_CATEGORIES.forEach(category => {
+            const flag = `--min-${category.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}=`;
+            const arg = process.argv.find(item => item.startsWith(flag));
+            if (arg) {
+                thresholds[category] = Number(arg.slice(flag.length));
+            }
+        });
+
+        if (historyOnly) {
+            const entries = loadHistory(options.historyDir).map(history.toHistoryEntry);
+            if (entries.length < (command === 'compare' ? 2 : 1)) {
+                throw new Error(`Not enough saved runs in ${options.historyDir}; run the performance test first`);
+            }
+
+            if (command === 'history') {
+                historyCommand(entries, history);
+            } else if (compareCommand(entries, history, args.slice(1)).regressions.length > 0 && process.argv.includes('--fail-on-regression')) {
+                process.exitCode = 1;
+            }
+            return;
+        }
+
+        const [dir = build.outputDir] = args;
+        const report = await runPerformanceTest({ ...options, dir });
+        const failures = checkThresholds(report, thresholds);
+        const previous = loadHistory(options.historyDir).pop();
+        const json = process.argv.includes('--json');
+
+        if (json) {
+            console.log(JSON.stringify({ ...report, thresholds, failures }, null, 2));
+        } else {
+            printReport(report, failures);
+        }
+
+        let comparison = null;
+        if (previous) {
+            comparison = history.compareRuns(history.toHistoryEntry(previous), history.toHistoryEntry(report));
+            if (!json) {
+                console.log('');
+                printComparison(comparison, previous, report, history);
+            }
+        }
+
+        if (!process.argv.includes('--no-history')) {
+            const file = saveReport(report, options.historyDir);
+            if (!json) {
+                console.log(`💾 Saved report to ${file}`);
+            }
+        }
+
+        const regressed = comparison && comparison.regressions.length > 0 && process.argv.includes('--fail-on-regression');
+        if (failures.length > 0 || regressed) {
+            process.exitCode = 1;
+        }
+    };
+
+    run()
+        .catch(error => {
+            console.error(`❌ ${historyOnly ? 'History' : 'Performance test'} failed:`, error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { runPerformanceTest, checkThresholds, loadHistory, saveReport };
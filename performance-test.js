@@ -0,0 +1,488 @@
+// Performance Testing Module
+// Runs in the page; performance-runner.js bundles it into jsdom for headless runs
+import { getWebVitals, getNavigationEntry, scoreVital, formatVital, VITALS_THRESHOLDS } from './web-vitals.js';
+
+// Suggested fix for each vital that is not rated good
+const VITAL_RECOMMENDATIONS = {
+    LCP: 'Load the largest visible element sooner (preload it, serve smaller images, cut render-blocking CSS)',
+    CLS: 'Give images and embeds explicit dimensions so content does not shift while loading',
+    INP: 'Keep event handlers short so the page responds to input quickly',
+    FCP: 'Reduce render-blocking resources so content paints sooner',
+    TTFB: 'Improve server response time (caching, CDN)'
+};
+
+export class PerformanceTester {
+    constructor({ resourceSizes = {}, errors = [] } = {}) {
+        this.metrics = {};
+        this.startTime = performance.now();
+        // Byte sizes by absolute URL, for environments without Resource Timing
+        this.resourceSizes = resourceSizes;
+        // Uncaught errors, including any the caller saw before the tester was created
+        this.errors = [...errors];
+        window.addEventListener('error', event => this.errors.push(event.message));
+        this.vitals = getWebVitals();
+    }
+
+    // Measure page load performance; navigation entry times are relative to the navigation start
+    measurePageLoad() {
+        const navigation = getNavigationEntry();
+        
+        if (navigation) {
+            this.metrics.pageLoad = {
+                dns: navigation.domainLookupEnd - navigation.domainLookupStart,
+                tcp: navigation.connectEnd - navigation.connectStart,
+                ttfb: navigation.responseStart - navigation.requestStart,
+                domContentLoaded: navigation.domContentLoadedEventEnd,
+                fullLoad: navigation.loadEventEnd
+            };
+        }
+        
+        return this.metrics.pageLoad;
+    }
+
+    // Core Web Vitals measured so far, with their ratings
+    measureWebVitals() {
+        this.metrics.webVitals = this.vitals.getMetrics();
+        return this.metrics.webVitals;
+    }
+
+    // Measure resource loading
+    measureResources() {
+        if ('performance' in window && typeof performance.getEntriesByType === 'function') {
+            const resources = performance.getEntriesByType('resource');
+            
+            this.metrics.resources = resources.map(resource => ({
+                name: resource.name,
+                duration: resource.duration,
+                size: resource.transferSize || 0,
+                type: resource.initiatorType
+            }));
+            
+            // Group by type
+            this.metrics.resourceSummary = this.metrics.resources.reduce((acc, resource) => {
+                if (!acc[resource.type]) {
+                    acc[resource.type] = {
+                        count: 0,
+                        totalSize: 0,
+                        averageTime: 0,
+                        items: []
+                    };
+                }
+                
+                acc[resource.type].count++;
+                acc[resource.type].totalSize += resource.size;
+                acc[resource.type].items.push(resource);
+                
+                return acc;
+            }, {});
+            
+            // Calculate averages
+            Object.keys(this.metrics.resourceSummary).forEach(type => {
+                const summary = this.metrics.resourceSummary[type];
+                summary.averageTime = summary.items.reduce((sum, item) => sum + item.duration, 0) / summary.count;
+            });
+        }
+        
+        return this.metrics.resources;
+    }
+
+    // Measure memory usage (if available)
+    measureMemory() {
+        if ('memory' in performance) {
+            this.metrics.memory = {
+                usedJSHeapSize: performance.memory.usedJSHeapSize,
+                totalJSHeapSize: performance.memory.totalJSHeapSize,
+                jsHeapSizeLimit: performance.memory.jsHeapSizeLimit
+            };
+        }
+        
+        return this.metrics.memory;
+    }
+
+    // Measure FPS (Frames Per Second)
+    async measureFPS(duration = 1000) {
+        return new Promise((resolve) => {
+            let frames = 0;
+            let startTime = null;
+            
+            const measureFrame = (timestamp) => {
+                if (!startTime) startTime = timestamp;
+                
+                frames++;
+                
+                if (timestamp - startTime < duration) {
+                    requestAnimationFrame(measureFrame);
+                } else {
+                    const fps = Math.round((frames * 1000) / duration);
+                    this.metrics.fps = fps;
+                    resolve(fps);
+                }
+            };
+            
+            requestAnimationFrame(measureFrame);
+        });
+    }
+
+    // Run Lighthouse-like audit
+    async runAudit() {
+        const audit = {
+            performance: {},
+            bestPractices: {},
+            accessibility: {},
+            seo: {}
+        };
+
+        // Performance checks
+        audit.performance.imageOptimization = this.checkImageOptimization();
+        audit.performance.cssSize = this.checkCSSSize();
+        audit.performance.jsSize = this.checkJSSize();
+        audit.performance.fontLoading = this.checkFontLoading();
+        
+        // Only scored once at least one vital has been measured (never headlessly)
+        const webVitals = this.checkWebVitals();
+        if (webVitals) {
+            audit.performance.webVitals = webVitals;
+        }
+
+        // Best practices checks
+        audit.bestPractices.https = this.checkHTTPS();
+        audit.bestPractices.consoleErrors = this.checkConsoleErrors();
+        audit.bestPractices.deprecatedAPI = this.checkDeprecatedAPI();
+
+        // Accessibility checks
+        audit.accessibility.altTags = this.checkAltTags();
+        audit.accessibility.ariaLabels = this.checkAriaLabels();
+        audit.accessibility.colorContrast = this.checkColorContrast();
+
+        // SEO checks
+        audit.seo.metaTags = this.checkMetaTags();
+        audit.seo.headingStructure = this.checkHeadingStructure();
+        audit.seo.semanticHTML = this.checkSemanticHTML();
+
+        this.metrics.audit = audit;
+        return audit;
+    }
+
+    // Individual audit checks
+    checkImageOptimization() {
+        const images = document.querySelectorAll('img');
+        const largeImages = Array.from(images).filter(img => {
+            const naturalWidth = img.naturalWidth;
+            const displayWidth = img.offsetWidth;
+            return naturalWidth > displayWidth * 2;
+        });
+        
+        return {
+            score: largeImages.length === 0 ? 100 : Math.max(0, 100 - (largeImages.length * 20)),
+            issues: largeImages.map(img => `Image "${img.src}" is larger than needed`)
+        };
+    }
+
+    // Size of a stylesheet or script: measured by the caller, reported by Resource Timing,
+    // or else the given estimate (cross-origin resources report no size)
+    getResourceSize(url, estimate) {
+        if (this.resourceSizes[url] !== undefined) {
+            return this.resourceSizes[url];
+        }
+        
+        const entry = typeof performance.getEntriesByName === 'function' ? performance.getEntriesByName(url)[0] : null;
+        return entry && entry.encodedBodySize ? entry.encodedBodySize : estimate;
+    }
+
+    checkCSSSize() {
+        // Deferred stylesheets stay preloads until their onload handler swaps them in
+        const links = document.querySelectorAll('link[rel="stylesheet"], link[rel="preload"][as="style"]');
+        const stylesheets = new Set(Array.from(links).map(link => link.href));
+        let totalSize = 0;
+        
+        stylesheets.forEach(href => {
+            if (href && !href.includes('fonts.googleapis.com')) {
+                totalSize += this.getResourceSize(href, 5000);
+            }
+        });
+        
+        const score = totalSize < 10000 ? 100 : Math.max(0, Math.floor(100 - ((totalSize - 10000) / 1000)));
+        
+        return {
+            score,
+            size: totalSize,
+            issues: score < 100 ? [`Stylesheets total ${this.formatKB(totalSize)} (aim for under 10 KB)`] : []
+        };
+    }
+
+    checkJSSize() {
+        // Module-capable browsers skip the nomodule fallback bundle
+        const scripts = document.querySelectorAll('script[src]:not([nomodule])');
+        const totalSize = Array.from(scripts).reduce((sum, script) => sum + this.getResourceSize(script.src, 10000), 0);
+        
+        const score = totalSize < 30000 ? 100 : Math.max(0, Math.floor(100 - ((totalSize - 30000) / 1000)));
+        
+        return {
+            score,
+            size: totalSize,
+            issues: score < 100 ? [`Scripts total ${this.formatKB(totalSize)} (aim for under 30 KB)`] : []
+        };
+    }
+
+    // Decimal, matching the 10 KB / 30 KB limits above
+    formatKB(bytes) {
+        return `${(bytes / 1000).toFixed(1)} KB`;
+    }
+
+    // Short selector-like description of an element for issue messages
+    describeElement(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const classes = typeof element.className === 'string' && element.className.trim()
+            ? `.${element.className.trim().split(/\s+/).join('.')}`
+            : '';
+        return `<${element.tagName.toLowerCase()}${id}${classes}>`;
+    }
+
+    checkFontLoading() {
+        const fonts = document.querySelectorAll('link[href*="fonts.googleapis.com"]');
+        return {
+            score: fonts.length <= 2 ? 100 : 50,
+            warning: fonts.length > 2 ? 'Too many font requests' : null,
+            issues: fonts.length > 2 ? [`${fonts.length} font stylesheet requests (aim for 2 or fewer)`] : []
+        };
+    }
+
+    // Each measured vital scores 100 when good, 50 when it needs improvement and 0 when poor
+    checkWebVitals() {
+        const vitals = Object.values(this.measureWebVitals());
+        if (vitals.length === 0) {
+            return null;
+        }
+        
+        const score = vitals.reduce((sum, vital) => sum + scoreVital(vital.rating), 0) / vitals.length;
+        
+        return {
+            score: Math.round(score),
+            issues: vitals
+                .filter(vital => vital.rating !== 'good')
+                .map(vital => `${vital.name} is ${formatVital(vital.name, vital.value)}, rated ${vital.rating} (good is up to ${formatVital(vital.name, VITALS_THRESHOLDS[vital.name][0])})`)
+        };
+    }
+
+    checkHTTPS() {
+        // Browsers treat localhost as secure, so local test servers pass
+        const secure = window.location.protocol === 'https:' || ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+        
+        return {
+            score: secure ? 100 : 0,
+            secure,
+            issues: secure ? [] : ['Page is not served over HTTPS']
+        };
+    }
+
+    checkConsoleErrors() {
+        return {
+            score: Math.max(0, 100 - (this.errors.length * 25)),
+            errors: this.errors,
+            issues: this.errors.map(error => `Uncaught error: ${error}`)
+        };
+    }
+
+    checkDeprecatedAPI() {
+        const deprecatedSelectors = ['applet', 'marquee', 'frameset', 'frame'];
+        const found = deprecatedSelectors.filter(selector => 
+            document.querySelector(selector)
+        );
+        
+        return {
+            score: found.length === 0 ? 100 : 0,
+            deprecated: found,
+            issues: found.map(tag => `Deprecated <${tag}> element`)
+        };
+    }
+
+    checkAltTags() {
+        const images = document.querySelectorAll('img');
+        const missingAlt = Array.from(images).filter(img => !img.alt);
+        
+        return {
+            score: images.length === 0 ? 100 : Math.round((1 - missingAlt.length / images.length) * 100),
+            missing: missingAlt.length,
+            issues: missingAlt.map(img => `Image "${img.src}" has no alt text`)
+        };
+    }
+
+    checkAriaLabels() {
+        const interactiveElements = document.querySelectorAll('button, a, input, [role]');
+        const unlabeled = Array.from(interactiveElements).filter(el => 
+            !el.getAttribute('aria-label') && 
+            !el.textContent.trim() && 
+            !el.getAttribute('title')
+        );
+        
+        return {
+            score: interactiveElements.length === 0 ? 100 : Math.round((1 - unlabeled.length / interactiveElements.length) * 100),
+            unlabeled: unlabeled.length,
+            issues: unlabeled.map(el => `${this.describeElement(el)} has no accessible name`)
+        };
+    }
+
+    checkColorContrast() {
+        // This is a simplified check - real implementation would use the Accessibility API
+        return {
+            score: 85, // Placeholder
+            warning: 'Run detailed contrast check with browser tools',
+            issues: ['Contrast is not measured; run a detailed contrast check with browser tools']
+        };
+    }
+
+    checkMetaTags() {
+        const requiredMeta = ['description', 'viewport'];
+        const presentMeta = requiredMeta.filter(meta => 
+            document.querySelector(`meta[name="${meta}"]`)
+        );
+        
+        return {
+            score: Math.round((presentMeta.length / requiredMeta.length) * 100),
+            missing: requiredMeta.filter(meta => !presentMeta.includes(meta)),
+            issues: requiredMeta.filter(meta => !presentMeta.includes(meta)).map(meta => `Missing <meta name="${meta}">`)
+        };
+    }
+
+    checkHeadingStructure() {
+        const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        let lastLevel = 0;
+        const issues = [];
+        
+        headings.forEach(heading => {
+            const level = parseInt(heading.tagName[1]);
+            if (level > lastLevel + 1) {
+                const after = lastLevel === 0 ? 'as the first heading' : `after an <h${lastLevel}>`;
+                issues.push(`<h${level}> "${heading.textContent.trim()}" skips a level ${after}`);
+            }
+            lastLevel = level;
+        });
+        
+        return {
+            score: headings.length === 0 ? 100 : Math.max(0, 100 - (issues.length * 20)),
+            errors: issues.length,
+            issues
+        };
+    }
+
+    checkSemanticHTML() {
+        const semanticElements = ['header', 'nav', 'main', 'section', 'article', 'aside', 'footer'];
+        const present = semanticElements.filter(tag => 
+            document.querySelector(tag)
+        );
+        
+        return {
+            score: Math.round((present.length / semanticElements.length) * 100),
+            missing: semanticElements.filter(tag => !present.includes(tag)),
+            issues: semanticElements.filter(tag => !present.includes(tag)).map(tag => `No <${tag}> element`)
+        };
+    }
+
+    // Generate performance report
+    generateReport() {
+        const report = {
+            timestamp: new Date().toISOString(),
+            url: window.location.href,
+            metrics: this.metrics,
+            webVitals: this.measureWebVitals(),
+            scores: this.calculateScores(),
+            recommendations: this.generateRecommendations()
+        };
+        
+        return report;
+    }
+
+    calculateScores() {
+        const scores = {
+            performance: 85,
+            accessibility: 90,
+            bestPractices: 88,
+            seo: 92,
+            overall: 89
+        };
+        
+        if (this.metrics.audit) {
+            // Calculate based on audit results
+            scores.performance = this.calculateCategoryScore(this.metrics.audit.performance);
+            scores.accessibility = this.calculateCategoryScore(this.metrics.audit.accessibility);
+            scores.bestPractices = this.calculateCategoryScore(this.metrics.audit.bestPractices);
+            scores.seo = this.calculateCategoryScore(this.metrics.audit.seo);
+            scores.overall = Math.round((scores.performance + scores.accessibility + scores.bestPractices + scores.seo) / 4);
+        }
+        
+        return scores;
+    }
+
+    calculateCategoryScore(category) {
+        const scores = Object.values(category).map(item => item.score || 0);
+        return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+    }
+
+    generateRecommendations() {
+        const recommendations = [];
+        
+        if (this.metrics.audit) {
+            const audit = this.metrics.audit;
+            
+            // Performance recommendations
+            if (audit.performance.imageOptimization.score < 80) {
+                recommendations.push('Optimize images by resizing to appropriate dimensions');
+            }
+            
+            if (audit.performance.cssSize.score < 80) {
+                recommendations.push('Minify and compress CSS files');
+            }
+            
+            // Accessibility recommendations
+            if (audit.accessibility.altTags.score < 100) {
+                recommendations.push('Add alt text to all images');
+            }
+            
+            // SEO recommendations
+            if (audit.seo.metaTags.score < 100) {
+                recommendations.push('Add missing meta tags (description, viewport)');
+            }
+            
+            // Web Vitals recommendations
+            Object.values(this.metrics.webVitals || {})
+                .filter(vital => vital.rating !== 'good')
+                .forEach(vital => recommendations.push(VITAL_RECOMMENDATIONS[vital.name]));
+        }
+        
+        return recommendations;
+    }
+
+    // Run full test suite
+    async runFullTest() {
+        console.log('🚀 Starting performance test...');
+        
+        // Measure various metrics
+        this.measurePageLoad();
+        this.measureResources();
+        this.measureMemory();
+        this.measureWebVitals();
+        await this.measureFPS();
+        await this.runAudit();
+        
+        const report = this.generateReport();
+        
+        console.log('📊 Performance Test Results');
+        console.log('==========================');
+        console.log(`Overall Score: ${report.scores.overall}/100`);
+        console.log(`Performance: ${report.scores.performance}/100`);
+        console.log(`Accessibility: ${report.scores.accessibility}/100`);
+        console.log(`Best Practices: ${report.scores.bestPractices}/100`);
+        console.log(`SEO: ${report.scores.seo}/100`);
+        
+        Object.values(report.webVitals).forEach(vital => {
+            console.log(`${vital.name}: ${formatVital(vital.name, vital.value)} (${vital.rating})`);
+        });
+        
+        console.log('\n💡 Recommendations:');
+        report.recommendations.forEach((rec, index) => {
+            console.log(`${index + 1}. ${rec}`);
+        });
+        
+        return report;
+    }
+}
@@ -0,0 +1,64 @@
+// Remote Image Cache
+// Remote images are downloaded once and the cached copy is reused by later (or offline) builds
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Formats ImageOptimizer can read, asked for explicitly so CDNs don't negotiate AVIF
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif'
+};
+
+function isRemoteImage(reference) {
+    return /^https?:\/\//i.test(reference || '');
+}
+
+// Stable, readable cache name: the last path segment plus a digest of the full URL
+function getCacheName(url) {
+    const slug = path.basename(new URL(url).pathname)
+        .replace(/\.[^.]*$/, '')
+        .replace(/[^\w-]+/g, '-')
+        .slice(0, 60);
+    return `${slug || 'image'}-${crypto.createHash('sha256').update(url).digest('hex').slice(0, 8)}`;
+}
+
+function findCachedImage(url, cacheDir) {
+    if (!fs.existsSync(cacheDir)) {
+        return null;
+    }
+
+    const name = getCacheName(url);
+    const file = fs.readdirSync(cacheDir).find(item => path.basename(item, path.extname(item)) === name);
+    return file ? path.join(cacheDir, file) : null;
+}
+
+// Local copy of a remote image: the cached file, or a fresh download added to the cache
+async function fetchRemoteImage(url, { cacheDir, timeout = 15000 }) {
+    const cached = findCachedImage(url, cacheDir);
+    if (cached) {
+        return { file: cached, cached: true };
+    }
+
+    const response = await fetch(url, {
+        headers: { Accept: Object.keys(EXTENSIONS).join(', ') },
+        signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+        throw new Error(`${url} returned ${response.status}`);
+    }
+
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!EXTENSIONS[type]) {
+        throw new Error(`${url} returned unsupported content type "${type}"`);
+    }
+
+    const file = path.join(cacheDir, `${getCacheName(url)}${EXTENSIONS[type]}`);
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+    return { file, cached: false };
+}
+
+module.exports = { fetchRemoteImage, isRemoteImage };
@@ -0,0 +1,248 @@
+// Real User Monitoring Collector
+// Receives beacons from rum.js, stores each event as a JSON line and prints percentile summaries
+const fs = require('fs');
+const http = require('http');
+const { loadConfig, getPositionalArgs } = require('./config-loader');
+
+// Browsers refuse to queue larger beacons anyway
+const MAX_BODY_BYTES = 64 * 1024;
+const VITALS = ['LCP', 'CLS', 'INP', 'FCP', 'TTFB'];
+
+// One record per event, carrying the beacon's session and page
+function toRecords(beacon, receivedAt) {
+    if (!beacon || !Array.isArray(beacon.events)) {
+        throw new Error('Beacon has no events array');
+    }
+
+    return beacon.events
+        .filter(event => event && typeof event.type === 'string')
+        .map(event => ({
+            ...event,
+            receivedAt,
+            session: String(beacon.session || ''),
+            page: String(beacon.page || '')
+        }));
+}
+
+// Request body as text; an oversized one stops the read and rejects with status 413
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // The socket stays open so the client still gets a status
+                req.removeAllListeners('data');
+                req.pause();
+                reject(Object.assign(new Error(`Beacon larger than ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Accept beacons on POST <path> and append their events to file
+function startCollector({ port, path: beaconPath, file }) {
+    const server = http.createServer(async (req, res) => {
+        // Beacons are fire-and-forget, but the fetch() fallback is subject to CORS
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        const pathname = req.url.split('?')[0];
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST' || pathname !== beaconPath) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        try {
+            const records = toRecords(JSON.parse(await readBody(req)), new Date().toISOString());
+            if (records.length > 0) {
+                fs.appendFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+            }
+            console.log(`📥 ${records.length} event(s) from ${records.length > 0 ? records[0].page : 'unknown page'}`);
+            res.writeHead(204);
+            res.end();
+        } catch (error) {
+            console.warn(`⚠️  Rejected beacon: ${error.message}`);
+            const status = error.status || 400;
+            // The rest of an oversized body is never read, so drop the connection once the reply is out
+            if (status === 413) {
+                res.setHeader('Connection', 'close');
+                res.on('finish', () => req.destroy());
+            }
+            res.writeHead(status);
+            res.end(error.message);
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(port, () => {
+            resolve({
+                url: `http://localhost:${server.address().port}${beaconPath}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Stored records; lines that don't parse (e.g. a write cut short) are skipped
+function readRecords(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (error) {
+                return [];
+            }
+        });
+}
+
+// Nearest-rank percentile of a list of numbers
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function countBy(items, keyOf) {
+    return items.reduce((counts, item) => {
+        const key = keyOf(item);
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+function summarize(records) {
+    // A page view reports a vital again whenever it changes; its last value is the final one
+    const finalVitals = new Map();
+    records
+        .filter(record => record.type === 'vital' && VITALS.includes(record.name) && typeof record.value === 'number')
+        .forEach(record => finalVitals.set(`${record.session}|${record.page}|${record.name}`, record));
+
+    const vitals = {};
+    VITALS.forEach(name => {
+        const samples = Array.from(finalVitals.values()).filter(record => record.name === name);
+        if (samples.length === 0) {
+            return;
+        }
+
+        const values = samples.map(record => record.value);
+        vitals[name] = {
+            count: samples.length,
+            p50: percentile(values, 50),
+            p75: percentile(values, 75),
+            p95: percentile(values, 95),
+            good: Math.round((samples.filter(record => record.rating === 'good').length / samples.length) * 100)
+        };
+    });
+
+    const slowResources = records.filter(record => record.type === 'resource');
+    const resources = Object.entries(countBy(slowResources, record => record.name))
+        .map(([name, count]) => ({
+            name,
+            count,
+            p75: percentile(slowResources.filter(record => record.name === name).map(record => record.duration), 75)
+        }))
+        .sort((a, b) => b.count - a.count);
+
+    const errors = Object.entries(countBy(records.filter(record => record.type === 'error'), record => record.message))
+        .map(([message, count]) => ({ message, count }))
+        .sort((a, b) => b.count - a.count);
+
+    return {
+        sessions: new Set(records.map(record => record.session)).size,
+        events: records.length,
+        vitals,
+        resources,
+        errors
+    };
+}
+
+function formatValue(name, value) {
+    return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)}ms`;
+}
+
+function printSummary(summary) {
+    console.log('📊 Real User Monitoring Summary');
+    console.log('==============================');
+    console.log(`${summary.events} event(s) from ${summary.sessions} session(s)`);
+
+    if (Object.keys(summary.vitals).length > 0) {
+        console.log('\n⏱️  Web Vitals:');
+        console.table(Object.fromEntries(Object.entries(summary.vitals).map(([name, stats]) => [name, {
+            samples: stats.count,
+            p50: formatValue(name, stats.p50),
+            p75: formatValue(name, stats.p75),
+            p95: formatValue(name, stats.p95),
+            good: `${stats.good}%`
+        }])));
+    }
+
+    if (summary.resources.length > 0) {
+        console.log('\n🐢 Slow resources:');
+        summary.resources.slice(0, 10).forEach(resource => {
+            console.log(`   ${resource.count}× ${resource.name} (p75 ${resource.p75}ms)`);
+        });
+    }
+
+    if (summary.errors.length > 0) {
+        console.log('\n❌ Errors:');
+        summary.errors.slice(0, 10).forEach(error => {
+            console.log(`   ${error.count}× ${error.message}`);
+        });
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const { build } = loadConfig();
+    const options = { ...build.rum.collector };
+
+    const portArg = process.argv.find(arg => arg.startsWith('--port='));
+    if (portArg) {
+        options.port = parseInt(portArg.split('=')[1], 10);
+    }
+
+    const [command, file = options.file] = getPositionalArgs();
+
+    if (command === 'summary') {
+        printSummary(summarize(readRecords(file)));
+    } else {
+        startCollector(options)
+            .then(collector => {
+                console.log(`📡 Collecting beacons at ${collector.url} into ${options.file}`);
+                console.log('   Set build.rum.endpoint to this URL and rebuild; press Ctrl+C for a summary');
+
+                process.on('SIGINT', async () => {
+                    await collector.close();
+                    console.log('');
+                    printSummary(summarize(readRecords(options.file)));
+                    process.exit(0);
+                });
+            })
+            .catch(error => {
+                console.error('❌ Collector failed to start:', error.message);
+                process.exit(1);
+            });
+    }
+}
+
+module.exports = { startCollector, readRecords, summarize, percentile };
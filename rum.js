@@ -0,0 +1,141 @@
+// Real User Monitoring
+// Batches Web Vitals, slow resources and uncaught errors from real visits and sends them to a
+// collector (see rum-collector.js) with navigator.sendBeacon
+import { getWebVitals } from './web-vitals.js';
+import { SLOW_RESOURCE_MS } from './optimization.js';
+
+// Stop reporting errors from a page that throws in a loop
+const MAX_ERRORS = 10;
+
+export class RumReporter {
+    // earlyErrors are { event, time } for `error`/`unhandledrejection` events the page buffered
+    // before this module was loaded
+    constructor({ endpoint, sampleRate = 1, maxBatchSize = 20, earlyErrors = [] }) {
+        this.endpoint = endpoint;
+        this.maxBatchSize = maxBatchSize;
+        this.queue = [];
+        this.errorCount = 0;
+        // Vitals keep changing until the page is hidden, so only their latest values are sent
+        this.vitals = {};
+        this.sentVitals = {};
+        this.session = Math.random().toString(36).slice(2, 10);
+        this.enabled = Boolean(endpoint) && Math.random() < sampleRate && navigator.doNotTrack !== '1';
+
+        if (this.enabled) {
+            this.init(earlyErrors);
+        }
+    }
+
+    // Reporting is opt-in: <meta name="rum-endpoint"> is empty unless build.rum.endpoint is set
+    static fromPage({ earlyErrors = [] } = {}) {
+        const endpoint = document.querySelector('meta[name="rum-endpoint"]');
+        const sampleRate = document.querySelector('meta[name="rum-sample-rate"]');
+        if (!endpoint || !endpoint.content) {
+            return null;
+        }
+
+        return new RumReporter({
+            endpoint: endpoint.content,
+            sampleRate: sampleRate ? parseFloat(sampleRate.content) : 1,
+            earlyErrors
+        });
+    }
+
+    init(earlyErrors = []) {
+        const webVitals = getWebVitals();
+        this.vitals = webVitals.getMetrics();
+        webVitals.onChange(metric => {
+            this.vitals[metric.name] = metric;
+        });
+
+        this.observeResources();
+
+        earlyErrors.forEach(({ event, time }) => this.addErrorEvent(event, time));
+        window.addEventListener('error', event => this.addErrorEvent(event));
+        window.addEventListener('unhandledrejection', event => this.addErrorEvent(event));
+
+        // The last reliable moment to send anything; pagehide covers browsers without visibilitychange
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    observeResources() {
+        if (typeof PerformanceObserver === 'undefined' || !(PerformanceObserver.supportedEntryTypes || []).includes('resource')) {
+            return;
+        }
+
+        const observer = new PerformanceObserver(list => {
+            list.getEntries()
+                .filter(entry => entry.duration > SLOW_RESOURCE_MS && entry.initiatorType !== 'beacon')
+                .forEach(entry => this.add({
+                    type: 'resource',
+                    name: entry.name,
+                    initiatorType: entry.initiatorType,
+                    duration: Math.round(entry.duration),
+                    size: entry.transferSize || 0
+                }));
+        });
+        observer.observe({ type: 'resource', buffered: true });
+    }
+
+    // Record an `error` or `unhandledrejection` event
+    addErrorEvent(event, time = performance.now()) {
+        const message = event.type === 'unhandledrejection'
+            ? `Unhandled rejection: ${event.reason && event.reason.message ? event.reason.message : event.reason}`
+            : event.message;
+        const source = event.filename ? `${event.filename}:${event.lineno}` : null;
+        this.addError(message, source, time);
+    }
+
+    addError(message, source, time = performance.now()) {
+        if (this.errorCount >= MAX_ERRORS) {
+            return;
+        }
+        this.errorCount++;
+        this.add({ type: 'error', message: String(message), source }, time);
+    }
+
+    add(event, time = performance.now()) {
+        this.queue.push({ ...event, time: Math.round(time) });
+        if (this.queue.length >= this.maxBatchSize) {
+            this.flush();
+        }
+    }
+
+    // Send queued events plus any vitals that changed since the last beacon
+    flush() {
+        const vitals = Object.values(this.vitals)
+            .filter(vital => this.sentVitals[vital.name] !== vital.value)
+            .map(vital => ({ type: 'vital', name: vital.name, value: vital.value, rating: vital.rating }));
+        const events = [...vitals, ...this.queue];
+        if (events.length === 0) {
+            return;
+        }
+
+        const payload = JSON.stringify({
+            session: this.session,
+            page: location.pathname,
+            timestamp: new Date().toISOString(),
+            events
+        });
+
+        // A string body is sent as text/plain, which needs no CORS preflight
+        let sent = true;
+        if (navigator.sendBeacon) {
+            sent = navigator.sendBeacon(this.endpoint, payload);
+        } else {
+            fetch(this.endpoint, { method: 'POST', body: payload, keepalive: true }).catch(() => {});
+        }
+
+        if (sent) {
+            this.queue = [];
+            vitals.forEach(vital => {
+                this.sentVitals[vital.name] = vital.value;
+            });
+        }
+    }
+}
@@ -1,3 +1,5 @@
+import { PortfolioOptimizer } from './optimization.js';
+
 // DOM Elements
 const themeToggle = document.getElementById('theme-toggle');
 const themeIcon = themeToggle.querySelector('i');
@@ -6,7 +8,11 @@ const projectsGrid = document.getElementById('projects-grid');
 const contactForm = document.getElementById('contact-form');
 const performanceTestBtn = document.getElementById('run-performance-test');
 const performanceScore = document.getElementById('performance-score');
+const performanceResults = document.getElementById('performance-results');
+const performanceHistoryBtn = document.getElementById('view-performance-history');
+const performanceHistory = document.getElementById('performance-history');
 const currentYear = document.getElementById('current-year');
+const responsiveImagesData = document.getElementById('responsive-images');
 
 // Projects Data - Updated with your personal projects
 const projects = [
@@ -115,6 +121,17 @@ const skills = [
     }
 ];
 
+// Real user monitoring (rum.js) is downloaded only when the build sets a collector endpoint.
+// Errors thrown until then are buffered here and handed over once it has loaded
+const rumEndpoint = document.querySelector('meta[name="rum-endpoint"]');
+const rumEnabled = Boolean(rumEndpoint && rumEndpoint.content);
+const earlyErrors = [];
+const bufferError = event => earlyErrors.push({ event, time: performance.now() });
+if (rumEnabled) {
+    window.addEventListener('error', bufferError);
+    window.addEventListener('unhandledrejection', bufferError);
+}
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     initTheme();
@@ -125,10 +142,37 @@ document.addEventListener('DOMContentLoaded', () => {
     initPerformanceTest();
     initAnimatedCounters();
     
+    // Performance optimizations (lazy loading, resource monitoring)
+    window.portfolioOptimizer = new PortfolioOptimizer();
+    
+    initRum();
+    
     // Set current year
     currentYear.textContent = new Date().getFullYear();
 });
 
+// Vitals and slow resources are observed with buffered entries, so only errors need handing over
+function initRum() {
+    if (!rumEnabled) {
+        return;
+    }
+    
+    const stopBuffering = () => {
+        window.removeEventListener('error', bufferError);
+        window.removeEventListener('unhandledrejection', bufferError);
+    };
+    
+    import('./rum.js')
+        .then(({ RumReporter }) => {
+            stopBuffering();
+            window.rumReporter = RumReporter.fromPage({ earlyErrors });
+        })
+        .catch(error => {
+            stopBuffering();
+            console.warn(`Real user monitoring is unavailable: ${error.message}`);
+        });
+}
+
 // Theme Toggle Functionality
 function initTheme() {
     const savedTheme = localStorage.getItem('theme') || 'light';
@@ -171,6 +215,23 @@ function initProjects() {
     });
 }
 
+// Responsive variants of the project images, written into the page by the build
+const responsiveImages = responsiveImagesData ? JSON.parse(responsiveImagesData.textContent) : {};
+
+// Project images are URLs, served as responsive variants once the build has optimized them
+function renderProjectImage(project) {
+    const image = responsiveImages[project.image];
+    
+    if (!image) {
+        return `<img src="${project.image}" alt="${project.title}" class="project-image" loading="lazy">`;
+    }
+    
+    const sources = image.sources
+        .map(source => `<source type="${source.type}" srcset="${source.srcset}" sizes="${image.sizes}">`)
+        .join('');
+    return `<picture>${sources}<img src="${image.src}" srcset="${image.srcset}" sizes="${image.sizes}" width="${image.width}" height="${image.height}" alt="${project.title}" class="project-image" loading="lazy" decoding="async"></picture>`;
+}
+
 function renderProjects(projectsToRender) {
     projectsGrid.innerHTML = '';
     
@@ -180,7 +241,7 @@ function renderProjects(projectsToRender) {
         projectCard.setAttribute('data-aos', 'fade-up');
         
         projectCard.innerHTML = `
-            <img src="${project.image}" alt="${project.title}" class="project-image" loading="lazy">
+            ${renderProjectImage(project)}
             <div class="project-content">
                 <h3 class="project-title">${project.title}</h3>
                 <p class="project-description">${project.description}</p>
@@ -362,34 +423,94 @@ function initSmoothScrolling() {
 }
 
 // Performance Test
+// The audit and its panels are loaded on first use, so they stay out of the initial bundle
+const loadPerformancePanel = () => import('./performance-panel.js');
+
+function showPanelError(panel, message) {
+    const error = document.createElement('p');
+    error.className = 'form-status error';
+    error.textContent = message;
+    panel.replaceChildren(error);
+    panel.hidden = false;
+}
+
 function initPerformanceTest() {
+    // Errors from page load still count towards the audit, although the tester is created later
+    const pageErrors = [];
+    window.addEventListener('error', event => pageErrors.push(event.message));
+    let tester = null;
+    
     performanceTestBtn.addEventListener('click', async () => {
+        performanceTestBtn.disabled = true;
         performanceScore.textContent = 'Testing...';
         
-        // Simulate performance test
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        try {
+            const [{ PerformanceTester }, panel] = await Promise.all([
+                import('./performance-test.js'),
+                loadPerformancePanel()
+            ]);
+            tester = tester || new PerformanceTester({ errors: pageErrors });
+            
+            const report = await tester.runFullTest();
+            performanceScore.textContent = `${report.scores.overall}`;
+            panel.renderPerformanceResults(performanceResults, report);
+            panel.saveToHistory(report);
+            if (!performanceHistory.hidden) {
+                panel.renderPerformanceHistory(performanceHistory);
+            }
+        } catch (error) {
+            performanceScore.textContent = '--';
+            showPanelError(performanceResults, `Performance test failed: ${error.message}`);
+        } finally {
+            performanceTestBtn.disabled = false;
+        }
+    });
+    
+    performanceHistoryBtn.addEventListener('click', async () => {
+        performanceHistory.hidden = !performanceHistory.hidden;
+        performanceHistoryBtn.setAttribute('aria-expanded', String(!performanceHistory.hidden));
+        if (performanceHistory.hidden) {
+            return;
+        }
         
-        // Generate random score between 85-100
-        const score = Math.floor(Math.random() * 16) + 85;
-        performanceScore.textContent = `${score}`;
+        try {
+            (await loadPerformancePanel()).renderPerformanceHistory(performanceHistory);
+        } catch (error) {
+            showPanelError(performanceHistory, `Could not load the history: ${error.message}`);
+        }
+    });
+    
+    // The panel is re-rendered on every change, so its controls are handled here
+    performanceHistory.addEventListener('change', async event => {
+        if (!event.target.matches('.performance-history-select')) {
+            return;
+        }
         
-        // Show performance tips
-        showPerformanceTips(score);
+        try {
+            (await loadPerformancePanel()).renderPerformanceHistory(performanceHistory, { keepSelection: true });
+        } catch (error) {
+            showPanelError(performanceHistory, `Could not load the history: ${error.message}`);
+        }
     });
-}
-
-function showPerformanceTips(score) {
-    const tips = [
-        "✅ Images are properly optimized and lazy loaded",
-        "✅ CSS and JS are minified",
-        "✅ Smooth animations with hardware acceleration",
-        score < 90 ? "⚠️ Consider implementing more aggressive caching" : "✅ Caching strategy implemented",
-        score < 95 ? "⚠️ Review third-party scripts impact" : "✅ Minimal third-party scripts"
-    ];
     
-    console.log(`Performance Score: ${score}/100`);
-    console.log("Tips for improvement:");
-    tips.forEach(tip => console.log(`  ${tip}`));
+    performanceHistory.addEventListener('click', async event => {
+        const action = event.target.dataset.action;
+        if (!action) {
+            return;
+        }
+        
+        try {
+            const panel = await loadPerformancePanel();
+            if (action === 'export') {
+                panel.exportHistory();
+            } else if (action === 'clear' && confirm('Delete all saved performance runs?')) {
+                panel.clearHistory();
+                panel.renderPerformanceHistory(performanceHistory);
+            }
+        } catch (error) {
+            showPanelError(performanceHistory, `Could not update the history: ${error.message}`);
+        }
+    });
 }
 
 // Animated Counters
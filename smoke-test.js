@@ -0,0 +1,134 @@
+// Post-Deploy Smoke Tests
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const cheerio = require('cheerio');
+const postcss = require('postcss');
+const { parseAst } = require('rollup/parseAst');
+const { CONTENT_TYPES } = require('./deploy-targets');
+const { isLocalReference } = require('./template');
+
+// Serve a directory over HTTP on a free local port
+function serveDirectory(dir) {
+    const root = path.resolve(dir);
+    const server = http.createServer((req, res) => {
+        // Prefixed rather than resolved against a base, so paths such as "//x" stay paths instead of
+        // naming another host; malformed percent-encoding is a bad request, not a crash
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(`http://localhost${req.url}`).pathname);
+        } catch (error) {
+            res.writeHead(400);
+            res.end('Bad request');
+            return;
+        }
+        let filePath = path.join(root, pathname);
+        if (filePath.endsWith(path.sep)) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        // root + separator, so a sibling such as dist2/ does not count as inside dist/
+        if (!filePath.startsWith(root + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        fs.createReadStream(filePath).pipe(res);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// A request that fails outright (connection refused, DNS failure, timeout) has no status and
+// is reported as a failed check rather than thrown
+async function fetchText(url, timeout) {
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+        return { status: response.status, body: await response.text() };
+    } catch (error) {
+        return { status: null, body: '', error: error.cause ? error.cause.message : error.message };
+    }
+}
+
+function describeResponse(response) {
+    return response.error || `status ${response.status}`;
+}
+
+// Check that a deployed site serves index.html, its assets and valid minified files
+async function runSmokeTests(baseUrl, { timeout = 10000 } = {}) {
+    const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    const results = [];
+    const record = (check, passed, detail = '') => results.push({ check, passed, detail });
+
+    const index = await fetchText(new URL('index.html', base), timeout);
+    record('index.html returns 200', index.status === 200, describeResponse(index));
+    if (index.status !== 200) {
+        return results;
+    }
+
+    const manifestResponse = await fetchText(new URL('manifest.json', base), timeout);
+    record('manifest.json returns 200', manifestResponse.status === 200, describeResponse(manifestResponse));
+    let manifest = {};
+    if (manifestResponse.status === 200) {
+        try {
+            manifest = JSON.parse(manifestResponse.body);
+        } catch (error) {
+            record('manifest.json parses', false, error.message);
+        }
+    }
+
+    const $ = cheerio.load(index.body);
+    const references = new Set();
+    $('link[href], script[src], img[src], source[src]').each((i, element) => {
+        const reference = $(element).attr('href') || $(element).attr('src');
+        if (isLocalReference(reference)) {
+            references.add(reference.split(/[?#]/)[0]);
+        }
+    });
+
+    // Source files must have been replaced by their minified, hashed versions
+    const sources = Object.keys(manifest).map(source => source.replace(/^(legacy|chunk):/, ''));
+    const unminified = Array.from(references).filter(reference =>
+        sources.includes(reference.replace(/^\.?\//, ''))
+    );
+    record('no references to unminified sources', unminified.length === 0, unminified.join(', '));
+
+    for (const reference of references) {
+        const response = await fetchText(new URL(reference, base), timeout);
+        record(`${reference} resolves`, response.status === 200, describeResponse(response));
+    }
+
+    for (const file of new Set(Object.values(manifest))) {
+        const response = await fetchText(new URL(file, base), timeout);
+        const { status, body } = response;
+        if (status !== 200 || body.trim() === '') {
+            record(`${file} is non-empty`, false, `${describeResponse(response)}, ${body.length} bytes`);
+            continue;
+        }
+
+        try {
+            if (file.endsWith('.css')) {
+                postcss.parse(body);
+            } else if (file.endsWith('.js')) {
+                parseAst(body);
+            }
+            record(`${file} parses`, true);
+        } catch (error) {
+            record(`${file} parses`, false, error.message);
+        }
+    }
+
+    return results;
+}
+
+module.exports = { runSmokeTests, serveDirectory };
@@ -0,0 +1,72 @@
+// HTML Template Processing
+const fs = require('fs');
+const path = require('path');
+
+// An include is indented to match the line its placeholder sits on
+const INCLUDE_PATTERN = /^([ \t]*)\{\{>\s*([\w./-]+)\s*\}\}/gm;
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const MAX_INCLUDE_DEPTH = 10;
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// A URL in the page that points at a file of the site rather than another origin, scheme or anchor
+function isLocalReference(reference) {
+    return Boolean(reference) && !/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(reference);
+}
+
+// Look up a dotted path such as "site.social.github"
+function lookup(variables, name) {
+    return name.split('.').reduce((value, key) => (
+        value !== undefined && value !== null ? value[key] : undefined
+    ), variables);
+}
+
+// Replace {{> partial }} with the contents of <partialsDir>/partial.html
+function resolveIncludes(html, partialsDir, depth = 0) {
+    if (depth > MAX_INCLUDE_DEPTH) {
+        throw new Error(`Template includes nested deeper than ${MAX_INCLUDE_DEPTH} levels`);
+    }
+
+    return html.replace(INCLUDE_PATTERN, (match, indent, name) => {
+        const partialPath = path.join(partialsDir, name.endsWith('.html') ? name : `${name}.html`);
+        if (!fs.existsSync(partialPath)) {
+            throw new Error(`Missing template partial: ${partialPath}`);
+        }
+
+        const partial = resolveIncludes(fs.readFileSync(partialPath, 'utf8').replace(/\n$/, ''), partialsDir, depth + 1);
+        return partial
+            .split('\n')
+            .map(line => (line ? indent + line : line))
+            .join('\n');
+    });
+}
+
+// Render includes, then {{ variables }} (HTML-escaped)
+function renderTemplate(html, { variables = {}, partialsDir = 'partials' } = {}) {
+    return resolveIncludes(html, partialsDir).replace(VARIABLE_PATTERN, (match, name) => {
+        const value = lookup(variables, name);
+        if (value === undefined || value === null) {
+            throw new Error(`Undefined template variable: ${name}`);
+        }
+        return escapeHTML(value);
+    });
+}
+
+// Partial files a template can include, for watching
+function listPartials(partialsDir = 'partials') {
+    if (!fs.existsSync(partialsDir)) {
+        return [];
+    }
+    return fs.readdirSync(partialsDir)
+        .filter(file => file.endsWith('.html'))
+        .map(file => path.join(partialsDir, file));
+}
+
+module.exports = { renderTemplate, listPartials, escapeHTML, isLocalReference };
@@ -0,0 +1,155 @@
+// Core Web Vitals Module
+// Collects LCP, CLS, INP, FCP and TTFB from PerformanceObserver entries and rates them
+// against the web.dev thresholds
+
+// Values up to the first number are "good", above the second "poor"
+export const VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+// Points per rating when vitals are scored alongside the audit checks
+const RATING_SCORES = {
+    good: 100,
+    'needs-improvement': 50,
+    poor: 0
+};
+
+export function rateVital(name, value) {
+    const [good, poor] = VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    if (value <= poor) return 'needs-improvement';
+    return 'poor';
+}
+
+export function scoreVital(rating) {
+    return RATING_SCORES[rating];
+}
+
+// CLS is unitless; the others are milliseconds
+export function formatVital(name, value) {
+    if (name === 'CLS') {
+        return value.toFixed(2);
+    }
+    return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+}
+
+// Navigation Timing Level 2 entry, replacing the deprecated performance.timing
+export function getNavigationEntry() {
+    if (typeof performance === 'undefined' || typeof performance.getEntriesByType !== 'function') {
+        return null;
+    }
+    return performance.getEntriesByType('navigation')[0] || null;
+}
+
+export class WebVitals {
+    constructor() {
+        this.values = {};
+        this.listeners = [];
+        this.clsSession = { value: 0, first: 0, last: 0 };
+        // Longest event duration per interaction, for INP
+        this.interactions = new Map();
+        this.observeAll();
+    }
+
+    // Observe an entry type, including entries recorded before the observer was created
+    observe(type, callback, options = {}) {
+        if (typeof PerformanceObserver === 'undefined' || !(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+            return null;
+        }
+
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe({ type, buffered: true, ...options });
+            return observer;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    observeAll() {
+        // LCP stops changing once the user interacts with the page
+        const lcpObserver = this.observe('largest-contentful-paint', entry => this.report('LCP', entry.startTime));
+        if (lcpObserver) {
+            const stop = () => lcpObserver.disconnect();
+            ['keydown', 'pointerdown'].forEach(type => window.addEventListener(type, stop, { once: true, capture: true }));
+        }
+
+        this.observe('layout-shift', entry => this.addLayoutShift(entry));
+
+        this.observe('event', entry => this.addInteraction(entry), { durationThreshold: 40 });
+        this.observe('first-input', entry => this.addInteraction(entry));
+
+        this.observe('paint', entry => {
+            if (entry.name === 'first-contentful-paint') {
+                this.report('FCP', entry.startTime);
+            }
+        });
+
+        this.observe('navigation', entry => this.report('TTFB', entry.responseStart));
+    }
+
+    // CLS is the largest burst of unexpected shifts: shifts less than 1s apart, within a 5s window
+    addLayoutShift(entry) {
+        if (entry.hadRecentInput) {
+            return;
+        }
+
+        const session = this.clsSession;
+        if (session.value > 0 && (entry.startTime - session.last > 1000 || entry.startTime - session.first > 5000)) {
+            session.value = 0;
+        }
+        if (session.value === 0) {
+            session.first = entry.startTime;
+        }
+        session.value += entry.value;
+        session.last = entry.startTime;
+
+        if (!this.values.CLS || session.value > this.values.CLS.value) {
+            this.report('CLS', session.value);
+        }
+    }
+
+    // INP is the worst interaction, ignoring one outlier per 50 interactions
+    addInteraction(entry) {
+        if (!entry.interactionId) {
+            return;
+        }
+
+        const previous = this.interactions.get(entry.interactionId) || 0;
+        this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+
+        const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+        const index = Math.min(durations.length - 1, Math.floor(durations.length / 50));
+        this.report('INP', durations[index]);
+    }
+
+    report(name, value) {
+        const metric = { name, value, rating: rateVital(name, value) };
+        this.values[name] = metric;
+        this.listeners.forEach(listener => listener(metric));
+    }
+
+    // Called with { name, value, rating } whenever a metric is measured or changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Metrics measured so far, keyed by name; INP only exists after an interaction
+    getMetrics() {
+        return { ...this.values };
+    }
+}
+
+let sharedVitals = null;
+
+// One collector per page, shared by PortfolioOptimizer and PerformanceTester
+export function getWebVitals() {
+    if (!sharedVitals) {
+        sharedVitals = new WebVitals();
+    }
+    return sharedVitals;
+}